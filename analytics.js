@@ -0,0 +1,169 @@
+// analytics.js
+// Information-theoretic read-outs for the blended model buildP(alpha): how predictable each
+// point on the drift axis is. Everything returns plain data so the side panel (or a test)
+// can plot it. Entropies are in bits.
+import { buildP, automatonFor, getAnchors, asModel, scoreWords, WORD_SYLLABLES } from './engine.js';
+
+const LOG2 = Math.log(2);
+
+export function rowEntropy(row = {}) {
+  let Z = 0, h = 0;
+  for (const p of Object.values(row)) if (p > 0) Z += p;
+  if (!(Z > 0)) return 0;
+  for (const p of Object.values(row)) if (p > 0) { const q = p / Z; h -= q * Math.log(q); }
+  return h / LOG2;
+}
+
+// H(next | prev) for every row of the matrix
+export function conditionalEntropies(P) {
+  return Object.fromEntries(Object.entries(P).map(([k, row]) => [k, rowEntropy(row)]));
+}
+
+// Stationary distribution of the unconstrained chain (power iteration)
+export function stationary(P, { iterations = 500, tol = 1e-12 } = {}) {
+  const keys = Object.keys(P);
+  let pi = Object.fromEntries(keys.map(k => [k, 1 / keys.length]));
+  for (let it = 0; it < iterations; it++) {
+    const next = Object.fromEntries(keys.map(k => [k, 0]));
+    for (const from of keys) {
+      const row = P[from] || {};
+      const Z = Object.values(row).reduce((a, b) => a + b, 0) || 1;
+      for (const [to, p] of Object.entries(row)) if (to in next) next[to] += pi[from] * p / Z;
+    }
+    const mass = Object.values(next).reduce((a, b) => a + b, 0) || 1;
+    let diff = 0;
+    for (const k of keys) { next[k] /= mass; diff += Math.abs(next[k] - pi[k]); }
+    pi = next;
+    if (diff < tol) break;
+  }
+  return pi;
+}
+
+// Entropy rate H = Σ π(prev) · H(next | prev)
+export function entropyRate(P) {
+  const pi = stationary(P);
+  const H = conditionalEntropies(P);
+  return Object.keys(pi).reduce((s, k) => s + pi[k] * H[k], 0);
+}
+
+// Expected letters per syllable under the DFA-constrained sampler: value iteration over
+// (DFA state, previous symbol) until the '#' that closes the syllable
+export function expectedSyllableLength(P, dfa, { iterations = 400, tol = 1e-10 } = {}) {
+  const model = asModel(P);
+  const E = new Map();
+  const key = (state, last) => `${state}|${last}`;
+  const steps = new Map();
+  const stepsFor = (state, last) => {
+    const k = key(state, last);
+    if (steps.has(k)) return steps.get(k);
+    const cand = Object.entries(model.dist([last]).row).filter(([s, p]) => p > 0 && dfa.next(state, s) != null);
+    const Z = cand.reduce((a, [, p]) => a + p, 0) || 1;
+    const out = cand.map(([s, p]) => ({ s, p: p / Z, to: s === '#' ? null : dfa.next(state, s) }));
+    steps.set(k, out);
+    return out;
+  };
+  const value = (state, last) => E.get(key(state, last)) ?? 0;
+  // discover reachable states first
+  const queue = [[dfa.start, '#']];
+  const seen = new Set([key(dfa.start, '#')]);
+  while (queue.length) {
+    const [state, last] = queue.shift();
+    for (const { s, to } of stepsFor(state, last)) {
+      if (to == null) continue;
+      const k = key(to, s);
+      if (!seen.has(k)) { seen.add(k); queue.push([to, s]); }
+    }
+  }
+  const states = [...seen].map(k => { const i = k.indexOf('|'); return [k.slice(0, i), k.slice(i + 1)]; });
+  for (let it = 0; it < iterations; it++) {
+    let diff = 0;
+    for (const [state, last] of states) {
+      let v = 0;
+      for (const { s, p, to } of stepsFor(state, last)) v += p * (to == null ? 0 : 1 + value(to, s));
+      diff = Math.max(diff, Math.abs(v - value(state, last)));
+      E.set(key(state, last), v);
+    }
+    if (diff < tol) break;
+  }
+  return value(dfa.start, '#');
+}
+
+// Perplexity per symbol (syllable boundaries included) on a held-out list; illegal words skipped
+export function perplexity(words, alpha) {
+  const scored = scoreWords(words, alpha).filter(r => r.legal);
+  const n = scored.reduce((a, r) => a + r.edges.length, 0);
+  if (!n) return { perplexity: NaN, words: 0, skipped: words.length };
+  const logProb = scored.reduce((a, r) => a + r.logProb, 0);
+  return { perplexity: Math.exp(-logProb / n), words: scored.length, skipped: words.length - scored.length };
+}
+
+// Transitions that move most between two anchors (defaults: the first two installed).
+// sharedOnly skips rows one inventory lacks, which would otherwise swamp the list.
+export function transitionChanges({ top = 12, anchors = getAnchors().slice(0, 2), sharedOnly = true } = {}) {
+  const [A, B] = anchors.map(a => asModel(a).matrix());
+  const out = [];
+  const rows = sharedOnly
+    ? Object.keys(A).filter(k => k in B)
+    : [...new Set([...Object.keys(A), ...Object.keys(B)])];
+  for (const from of rows) {
+    const ra = A[from] || {}, rb = B[from] || {};
+    for (const to of new Set([...Object.keys(ra), ...Object.keys(rb)])) {
+      const pA = ra[to] || 0, pB = rb[to] || 0;
+      if (pA < 1e-6 && pB < 1e-6) continue;
+      out.push({ from, to, pA, pB, delta: pB - pA, logRatio: Math.log2(Math.max(pB, 1e-9) / Math.max(pA, 1e-9)) });
+    }
+  }
+  return out.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, top);
+}
+
+// Expected syllables per word under the generator's uniform draw from WORD_SYLLABLES
+export function expectedSyllables(counts = WORD_SYLLABLES) {
+  return counts.reduce((a, n) => a + n, 0) / (counts.length || 1);
+}
+
+// One row per alpha: { alpha, entropyRate, meanRowEntropy, rowEntropy, syllableLength,
+// wordLength, perplexity }. Under buildP every syllable starts afresh from '#', so syllable
+// lengths are independent and a word's expected length is syllables × letters per syllable.
+export function analyticsSweep({ steps = 21, heldOut = [], syllablesPerWord = expectedSyllables() } = {}) {
+  return Array.from({ length: steps }, (_, i) => {
+    const alpha = i / (steps - 1);
+    const P = buildP(alpha);
+    const H = conditionalEntropies(P);
+    const rows = Object.values(H);
+    const syllableLength = expectedSyllableLength(P, automatonFor(alpha));
+    return {
+      alpha,
+      entropyRate: entropyRate(P),
+      meanRowEntropy: rows.reduce((a, b) => a + b, 0) / (rows.length || 1),
+      rowEntropy: H,
+      syllableLength,
+      wordLength: syllableLength * syllablesPerWord,
+      perplexity: heldOut.length ? perplexity(heldOut, alpha).perplexity : null,
+    };
+  });
+}
+
+// Aggregate generateSequenceTrace output into a transition graph: per edge ('k->a', the key
+// format buildTransitionMatrix reads) how often it was taken, with its mean surprise and
+// mean p_eff; per node how often it was entered
+export function aggregateTraces(traces) {
+  const edges = new Map();
+  const nodes = {};
+  let total = 0;
+  for (const { edges: steps = [] } of traces) {
+    for (const e of steps) {
+      const key = `${e.prev}->${e.next}`;
+      const agg = edges.get(key) || { key, from: e.prev, to: e.next, count: 0, surprise: 0, p_eff: 0 };
+      agg.count++;
+      agg.surprise += e.surprise;
+      agg.p_eff += e.p_eff;
+      edges.set(key, agg);
+      nodes[e.next] = (nodes[e.next] || 0) + 1;
+      total++;
+    }
+  }
+  const list = [...edges.values()].map(({ surprise, p_eff, ...e }) => ({
+    ...e, meanSurprise: surprise / e.count, meanP: p_eff / e.count,
+  }));
+  return { edges: list.sort((a, b) => b.count - a.count), nodes, total };
+}
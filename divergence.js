@@ -0,0 +1,236 @@
+// divergence.js
+// How far apart two LanguageProfiles are, in numbers: KL and Jensen–Shannon divergence of the
+// unigram distributions, a chi-square test of homogeneity on the raw counts, and where the
+// difference comes from (per phoneme, per feature class, per transition). Plain data out, so
+// the overlay panel, the JSON/CSV export or a test can read it. Divergences are in bits.
+// The unigrams are the ones the word engine generates from (engine.js unigramWeights), over
+// the union of both inventories; raw counts are the CSV count column, else the word list.
+//   divergenceReport(A, B)  → { a, b, kl, js, chiSquare, phonemes, classes, transitions }
+//   reportToCSV(report)     → one table, `section` column first
+import { CLASS_NAMES, classesOf } from './features.js';
+import { unigramWeights, tokenize } from './engine.js';
+
+const LOG2 = Math.log(2);
+const log2 = (x) => Math.log(x) / LOG2;
+
+// Additive smoothing over a shared support, so KL stays finite where one side has a zero
+function smoothed(freq, support, smoothing) {
+  const raw = support.map(s => Math.max(0, freq.get(s) || 0));
+  const Z = raw.reduce((a, b) => a + b, 0) + smoothing * support.length;
+  return Z > 0 ? raw.map(v => (v + smoothing) / Z) : raw;
+}
+
+const klTerm = (p, q) => (p > 0 ? p * log2(p / q) : 0);
+
+export function klDivergence(P, Q) {
+  return P.reduce((a, p, i) => a + klTerm(p, Q[i]), 0);
+}
+
+// JS = ½ KL(P‖M) + ½ KL(Q‖M), M = ½(P+Q); bounded by 1 bit
+export function jsDivergence(P, Q) {
+  return P.reduce((a, p, i) => {
+    const m = (p + Q[i]) / 2;
+    return a + (klTerm(p, m) + klTerm(Q[i], m)) / 2;
+  }, 0);
+}
+
+// --- chi-square p-values: regularized upper incomplete gamma Q(a, x) ---------------------
+function lnGamma(z) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let x = z, y = z, tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    // series for P(a, x)
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  }
+  // continued fraction for Q(a, x) (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+export function chiSquarePValue(stat, df) {
+  return df > 0 ? gammaQ(df / 2, stat / 2) : 1;
+}
+
+// 2×k test of homogeneity on raw counts. Per-symbol `cells` carry the χ² contribution and
+// the standardized residual of A's count ((O−E)/√E, positive = A uses it more than B).
+export function chiSquare(countsA, countsB) {
+  const support = [...new Set([...countsA.keys(), ...countsB.keys()])]
+    .filter(s => (countsA.get(s) || 0) + (countsB.get(s) || 0) > 0);
+  const nA = support.reduce((a, s) => a + (countsA.get(s) || 0), 0);
+  const nB = support.reduce((a, s) => a + (countsB.get(s) || 0), 0);
+  const N = nA + nB;
+  if (!nA || !nB) return null;
+  let stat = 0;
+  const cells = new Map();
+  for (const s of support) {
+    const oA = countsA.get(s) || 0, oB = countsB.get(s) || 0;
+    const col = oA + oB;
+    const eA = col * nA / N, eB = col * nB / N;
+    const contribution = (oA - eA) ** 2 / eA + (oB - eB) ** 2 / eB;
+    stat += contribution;
+    cells.set(s, { contribution, residual: (oA - eA) / Math.sqrt(eA), expectedA: eA, expectedB: eB });
+  }
+  const df = support.length - 1;
+  const lowExpected = [...cells.values()].filter(c => c.expectedA < 5 || c.expectedB < 5).length;
+  return { stat, df, p: chiSquarePValue(stat, df), nA, nB, lowExpected, cells };
+}
+
+// Raw phoneme counts: the profile's own (CSV count column), else its words tokenized against
+// its inventory. null when it has neither.
+export function rawCounts(profile) {
+  if (profile.counts?.size) return profile.counts;
+  if (!profile.words?.length) return null;
+  const counts = new Map();
+  for (const word of profile.words) {
+    for (const sym of tokenize(word, profile.classOf)) {
+      if (profile.classOf[sym]) counts.set(sym, (counts.get(sym) || 0) + 1);
+    }
+  }
+  return counts.size ? counts : null;
+}
+
+// Rows of the explicit transition tables ('k->a' → p), compared where both datasets have them
+function compareTransitions(A, B, smoothing) {
+  const rowsOf = (trans) => {
+    const rows = new Map();
+    for (const [key, p] of trans || []) {
+      const [from, to] = key.split('->');
+      if (!rows.has(from)) rows.set(from, new Map());
+      rows.get(from).set(to, p);
+    }
+    return rows;
+  };
+  const ra = rowsOf(A.trans), rb = rowsOf(B.trans);
+  const edges = [];
+  for (const key of new Set([...(A.trans?.keys() ?? []), ...(B.trans?.keys() ?? [])])) {
+    const [from, to] = key.split('->');
+    if (!ra.has(from) || !rb.has(from)) continue;
+    const pA = A.trans.get(key) || 0, pB = B.trans.get(key) || 0;
+    edges.push({ from, to, pA, pB, delta: pB - pA });
+  }
+  const rows = [...ra.keys()].filter(from => rb.has(from)).map(from => {
+    const a = ra.get(from), b = rb.get(from);
+    const support = [...new Set([...a.keys(), ...b.keys()])];
+    // explicit rows may be partial (sum < 1): the rest goes to one shared "other" cell
+    const rest = (row) => Math.max(0, 1 - [...row.values()].reduce((x, y) => x + y, 0));
+    const P = smoothed(new Map([...a, ['…', rest(a)]]), [...support, '…'], smoothing);
+    const Q = smoothed(new Map([...b, ['…', rest(b)]]), [...support, '…'], smoothing);
+    return { from, js: jsDivergence(P, Q), klAB: klDivergence(P, Q), klBA: klDivergence(Q, P) };
+  });
+  return {
+    shared: rows.length,
+    onlyA: [...ra.keys()].filter(from => !rb.has(from)),
+    onlyB: [...rb.keys()].filter(from => !ra.has(from)),
+    rows: rows.sort((x, y) => y.js - x.js),
+    edges: edges.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta)),
+  };
+}
+
+// A, B: LanguageProfiles. smoothing is the pseudo-probability mass added per symbol before
+// KL (it isn't needed for JS, which uses the raw distributions).
+export function divergenceReport(A, B, { smoothing = 1e-4 } = {}) {
+  const uA = unigramWeights(A), uB = unigramWeights(B);
+  const fA = new Map(Object.entries(uA.weights)), fB = new Map(Object.entries(uB.weights));
+  const support = [...new Set([...fA.keys(), ...fB.keys()])];
+  const P = smoothed(fA, support, 0), Q = smoothed(fB, support, 0);
+  const Ps = smoothed(fA, support, smoothing), Qs = smoothed(fB, support, smoothing);
+  const countsA = rawCounts(A), countsB = rawCounts(B);
+  const chi = (countsA && countsB) ? chiSquare(countsA, countsB) : null;
+
+  const phonemes = support.map((sym, i) => {
+    const m = (P[i] + Q[i]) / 2;
+    const cell = chi?.cells.get(sym);
+    return {
+      phoneme: sym,
+      classes: classesOf(sym, { ...B.classOf, ...A.classOf }),
+      pA: P[i], pB: Q[i], delta: Q[i] - P[i],
+      klAB: klTerm(Ps[i], Qs[i]),
+      klBA: klTerm(Qs[i], Ps[i]),
+      js: (klTerm(P[i], m) + klTerm(Q[i], m)) / 2,
+      chi: cell?.contribution ?? null,
+      residual: cell?.residual ?? null,
+    };
+  }).sort((x, y) => y.js - x.js);
+
+  const js = phonemes.reduce((a, r) => a + r.js, 0);
+  // classes overlap (ã is a vowel and a nasal), so class shares needn't sum to 1
+  const classes = CLASS_NAMES.map(name => {
+    const rows = phonemes.filter(r => r.classes.includes(name));
+    const sum = (k) => rows.reduce((a, r) => a + (r[k] ?? 0), 0);
+    return {
+      class: name,
+      phonemes: rows.map(r => r.phoneme),
+      massA: sum('pA'), massB: sum('pB'), delta: sum('delta'),
+      js: sum('js'), share: js > 0 ? sum('js') / js : 0,
+      chi: chi ? sum('chi') : null,
+    };
+  });
+
+  return {
+    a: A.name, b: B.name,
+    support: support.length,
+    onlyA: support.filter(s => !(s in uB.classOf)),
+    onlyB: support.filter(s => !(s in uA.classOf)),
+    kl: { ab: klDivergence(Ps, Qs), ba: klDivergence(Qs, Ps), smoothing },
+    js,
+    chiSquare: chi && { stat: chi.stat, df: chi.df, p: chi.p, nA: chi.nA, nB: chi.nB, lowExpected: chi.lowExpected },
+    phonemes,
+    classes,
+    transitions: compareTransitions(A, B, smoothing),
+  };
+}
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  if (typeof v === 'number') return Number.isFinite(v) ? String(+v.toPrecision(6)) : '';
+  const s = Array.isArray(v) ? v.join(' ') : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// section,key,pA,pB,delta,js,klAB,klBA,chi,residual — summary, phoneme, class, row and edge lines
+export function reportToCSV(report) {
+  const header = ['section', 'key', 'pA', 'pB', 'delta', 'js', 'klAB', 'klBA', 'chi', 'residual', 'note'];
+  const lines = [header];
+  const chi = report.chiSquare;
+  lines.push(['summary', `${report.a} vs ${report.b}`, '', '', '', report.js, report.kl.ab, report.kl.ba,
+    chi?.stat, '', chi ? `df=${chi.df} p=${chi.p.toPrecision(4)}` : 'no raw counts']);
+  for (const r of report.phonemes) {
+    lines.push(['phoneme', r.phoneme, r.pA, r.pB, r.delta, r.js, r.klAB, r.klBA, r.chi, r.residual, r.classes]);
+  }
+  for (const c of report.classes) {
+    lines.push(['class', c.class, c.massA, c.massB, c.delta, c.js, '', '', c.chi, '', c.phonemes]);
+  }
+  for (const r of report.transitions.rows) {
+    lines.push(['transition-row', r.from, '', '', '', r.js, r.klAB, r.klBA, '', '', '']);
+  }
+  for (const e of report.transitions.edges) {
+    lines.push(['transition', `${e.from}->${e.to}`, e.pA, e.pB, e.delta, '', '', '', '', '', '']);
+  }
+  return lines.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -1,31 +1,160 @@
-// --- Phoneme inventory (toy)
-export const PHONEMES = [
+// --- Phoneme inventory (toy default; setInventory() swaps in a dataset one)
+export let PHONEMES = [
   {sym:'p', cls:'C'}, {sym:'t', cls:'C'}, {sym:'k', cls:'C'}, {sym:'s', cls:'C'},
   {sym:'m', cls:'N'}, {sym:'n', cls:'N'},
   {sym:'a', cls:'V'}, {sym:'i', cls:'V'}, {sym:'u', cls:'V'}
 ];
-export const CLASS_OF = Object.fromEntries(PHONEMES.map(x=>[x.sym,x.cls]).concat([['#','#']]));
-
-// --- DFA over classes (CV/CVC with word boundary #)
-const DFA = {
-  START:'START', ACCEPT:new Set(['NUCLEUS','CODA','SEP']),
-  T:{
-    START:   { C:'ONSET', V:'NUCLEUS' },
-    ONSET:   { V:'NUCLEUS' },
-    NUCLEUS: { C:'CODA', N:'CODA', '#':'SEP', C_to_ONSET:'ONSET' },
-    CODA:    { '#':'SEP', C:'ONSET' },
-    SEP:     { C:'ONSET', V:'NUCLEUS' }
+export let CLASS_OF = Object.fromEntries(PHONEMES.map(x=>[x.sym,x.cls]).concat([['#','#']]));
+const CLASSES = ['C','V','N'];
+
+// Equivalent spellings across datasets map to one canonical symbol (the CSVs write ŋ as "ng")
+export const PHONEME_ALIASES = { ng:'ŋ' };
+export function normalizePhoneme(sym){
+  const s = String(sym ?? '').normalize('NFC').trim();
+  return PHONEME_ALIASES[s] || s;
+}
+
+// Build an inventory from one or more `phonemes: {C,V,N}` blocks (union; first class wins)
+export function loadInventory(...blocks){
+  const classOf = { '#':'#' };
+  const phonemes = [];
+  for (const block of blocks){
+    for (const cls of CLASSES){
+      for (const raw of block?.[cls] || []){
+        const sym = normalizePhoneme(raw);
+        if (!sym || classOf[sym]) continue;
+        classOf[sym] = cls;
+        phonemes.push({sym, cls});
+      }
+    }
   }
-};
-export function dfaAllows(state, clsOrHash) {
-  const row = DFA.T[state] || {};
-  if (clsOrHash==='C' && row['C_to_ONSET']) return true; // pseudo edge means syllable break then ONSET
-  return Boolean(row[clsOrHash]);
+  return { phonemes, classOf };
+}
+export function setInventory(inv){
+  PHONEMES = inv.phonemes;
+  CLASS_OF = inv.classOf;
+}
+
+// Split a written word into inventory units: NFC first, then greedy longest match so
+// digraphs/trigraphs (kh, tsh) and precomposed or combining-mark vowels (ã, a+U+0303) stay whole.
+// '.' and '#' are syllable boundaries; anything unknown comes back as its own grapheme.
+export function tokenize(word, classOf = CLASS_OF){
+  const text = String(word ?? '').normalize('NFC');
+  const units = [...Object.keys(classOf), ...Object.keys(PHONEME_ALIASES)]
+    .filter(u => u && u!=='#')
+    .sort((a,b)=>b.length-a.length);
+  const out = [];
+  let i = 0;
+  while (i < text.length){
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch==='.' || ch==='#') { out.push('#'); i++; continue; }
+    const hit = units.find(u => text.startsWith(u, i));
+    if (hit) { out.push(normalizePhoneme(hit)); i += hit.length; continue; }
+    const g = text.slice(i).match(/^.\p{M}*/su)[0];
+    out.push(g);
+    i += g.length;
+  }
+  return out;
+}
+
+// --- Syllable templates compiled into the phonotactic DFA
+// A template is a run of slots, e.g. "(C)(C)V(N)" or "CV(C)":
+//   X          required slot of class X (C, V or N)
+//   (X)        optional slot
+//   C|N        either class
+//   C[r l w]   slot restricted to the listed phonemes ("V(C|N[m n ŋ])" = only nasals in coda)
+// Slots are compiled to positions, optional slots give ε-moves, and subset construction
+// turns that into a DFA whose states are position sets. A word is σ ('#' σ)* — '#' is only
+// legal where the syllable may end and always returns to the start state.
+export function parseTemplate(template){
+  const slots = [];
+  const src = String(template).normalize('NFC').replace(/\s+(?![^\[]*\])/g, '');
+  let i = 0;
+  const body = (optional)=>{
+    const classes = new Set();
+    while (i < src.length && /[CVN]/.test(src[i])){
+      classes.add(src[i++]);
+      if (src[i]==='|') i++; else break;
+    }
+    if (!classes.size) throw new Error(`Bad syllable template "${template}" at ${i}`);
+    let only = null;
+    if (src[i]==='['){
+      const close = src.indexOf(']', i);
+      if (close < 0) throw new Error(`Unclosed [ in syllable template "${template}"`);
+      only = new Set(src.slice(i+1, close).split(/[\s,]+/).filter(Boolean).map(normalizePhoneme));
+      i = close + 1;
+    }
+    slots.push({ classes, only, optional });
+  };
+  while (i < src.length){
+    if (src[i]==='('){
+      i++;
+      body(true);
+      if (src[i++]!==')') throw new Error(`Unclosed ( in syllable template "${template}"`);
+    } else body(false);
+  }
+  if (!slots.some(sl=>!sl.optional)) throw new Error(`Syllable template "${template}" has no required slot`);
+  return slots;
+}
+
+export function compileTemplate(template){
+  const slots = parseTemplate(template);
+  const closure = (pos)=>{
+    const out = [pos];
+    while (pos < slots.length && slots[pos].optional) out.push(++pos);
+    return out;
+  };
+  const keyOf = (set)=> [...set].sort((a,b)=>a-b).join(',');
+  const start = keyOf(new Set(closure(0)));
+  const end = String(slots.length);
+  const memo = new Map();
+
+  return {
+    template, slots, start,
+    accepts(state){ return state!=null && state.split(',').includes(end); },
+    // next state on one symbol, or null when the template forbids it
+    next(state, sym, classOf = CLASS_OF){
+      if (state==null) return null;
+      if (sym==='#') return this.accepts(state) ? start : null;
+      const cls = classOf[sym];
+      const key = `${state}|${sym}|${cls}`;
+      if (memo.has(key)) return memo.get(key);
+      const to = new Set();
+      for (const pos of state.split(',').map(Number)){
+        const slot = slots[pos];
+        if (!slot || !slot.classes.has(cls)) continue;
+        if (slot.only && !slot.only.has(sym)) continue;
+        closure(pos+1).forEach(p=>to.add(p));
+      }
+      const res = to.size ? keyOf(to) : null;
+      memo.set(key, res);
+      return res;
+    }
+  };
+}
+
+// Default CV/CVC machine (what the old hand-written DFA encoded)
+export const DEFAULT_TEMPLATE = '(C)V(C|N)';
+const DEFAULT_DFA = compileTemplate(DEFAULT_TEMPLATE);
+export function dfaAllows(state, sym, dfa = DEFAULT_DFA) {
+  return dfa.next(state, sym) != null;
+}
+export function dfaNext(state, sym, dfa = DEFAULT_DFA) {
+  return dfa.next(state, sym) ?? state;
+}
+
+// Per-anchor templates (same order as setAnchors): generation follows the dominant anchor's phonotactics
+let ANCHOR_DFAS = [DEFAULT_DFA, DEFAULT_DFA];
+export function setSyllableTemplates(...templates){
+  ANCHOR_DFAS = templates.map(t => t ? compileTemplate(t) : DEFAULT_DFA);
+  while (ANCHOR_DFAS.length < 2) ANCHOR_DFAS.push(DEFAULT_DFA);
 }
-export function dfaNext(state, clsOrHash) {
-  const row = DFA.T[state] || {};
-  if (clsOrHash==='C' && row['C_to_ONSET']) return 'ONSET';
-  return row[clsOrHash] || state;
+export function automatonFor(weights){
+  const w = toWeights(weights);
+  let best = 0;
+  w.forEach((x,i)=>{ if (x > w[best]) best = i; });
+  return ANCHOR_DFAS[best] || DEFAULT_DFA;
 }
 
 // --- Two anchor Markov matrices (rows -> next symbol probs)
@@ -54,14 +183,15 @@ export const P_PAST = {
   u:  {p:.25,t:.15,k:.25,s:.15,'#':.2}
 };
 
-// --- Log-space interpolation: P(t) = softmax((1-α)logP0 + α logP1)
-function interpRowLogSoftmax(rowA={}, rowB={}, alpha){
-  const keys = new Set([...Object.keys(rowA), ...Object.keys(rowB)]);
+// --- Log-space (barycentric) interpolation: P(w) = softmax(Σᵢ wᵢ log Pᵢ)
+// With two anchors and w = [1-α, α] this is exactly softmax((1-α)logP0 + α logP1).
+function interpRowsLogSoftmax(rows, weights){
+  const keys = new Set(rows.flatMap(r=>Object.keys(r||{})));
   const tmp = [];
   for (const k of keys){
-    const a = Math.max(rowA[k]||1e-9, 1e-9);
-    const b = Math.max(rowB[k]||1e-9, 1e-9);
-    tmp.push([k, (1-alpha)*Math.log(a) + alpha*Math.log(b)]);
+    let v = 0;
+    rows.forEach((row,i)=>{ if (weights[i]) v += weights[i]*Math.log(Math.max(row?.[k]||1e-9, 1e-9)); });
+    tmp.push([k, v]);
   }
   const max = Math.max(...tmp.map(([,v])=>v));
   const exps = tmp.map(([k,v])=>[k, Math.exp(v-max)]);
@@ -70,86 +200,364 @@ function interpRowLogSoftmax(rowA={}, rowB={}, alpha){
   exps.forEach(([k,e])=> out[k]=e/Z);
   return out;
 }
-export function buildP(alpha){ // alpha=0 → present, 1 → past
-  const keys = new Set([...Object.keys(P_PRESENT),...Object.keys(P_PAST)]);
+// Active anchors (matrices or order-n models): any number of dialects or stages.
+// The toy present/past pair until setAnchors() installs dataset-derived ones.
+let ANCHORS = [P_PRESENT, P_PAST];
+export function setAnchors(...anchors){
+  ANCHORS = anchors.length ? anchors.map((a,i)=> a || [P_PRESENT, P_PAST][i] || {}) : [P_PRESENT, P_PAST];
+}
+export function getAnchors(){ return ANCHORS.slice(); }
+
+// Weight vector from a scalar alpha ([1-α, α] on the first two anchors) or an explicit
+// vector; vectors are normalized to sum 1 (barycentric coordinates)
+function toWeights(weights, n = ANCHORS.length){
+  if (typeof weights === 'number') return [1-weights, weights, ...Array(Math.max(0, n-2)).fill(0)];
+  const w = Array.from({length: n}, (_,i)=> Math.max(0, Number(weights?.[i]) || 0));
+  const sum = w.reduce((a,b)=>a+b,0);
+  if (!(sum > 0)) throw new Error('buildP: weights must have positive mass');
+  return Math.abs(sum-1) > 1e-12 ? w.map(x=>x/sum) : w;
+}
+
+// Bigram matrix at a weight vector (or alpha: 0 → present, 1 → past).
+// Models are projected to their one-symbol-context rows.
+export function buildP(weights, anchors = ANCHORS){
+  const w = toWeights(weights, anchors.length);
+  const mats = anchors.map(A => isModel(A) ? A.matrix() : A);
+  const keys = new Set(mats.flatMap(A=>Object.keys(A)));
+  const P = {};
+  keys.forEach(k=> P[k] = interpRowsLogSoftmax(mats.map(A=>A[k]||{}), w));
+  return P;
+}
+
+// --- Dataset-derived anchors
+// Class skeleton used wherever a profile's `bigrams` block is silent. '#' is the syllable
+// boundary the generator resets on, so '#->X' is the onset mix and 'X->#' closes a syllable.
+const DEFAULT_CLASS_BIGRAMS = {
+  '#->C':.8, '#->V':.2,
+  'C->V':.6, 'C->C':.1, 'C->N':.02, 'C->#':.05,
+  'V->C':.3, 'V->N':.2, 'V->V':.05, 'V->#':.3,
+  'N->V':.2, 'N->C':.1, 'N->#':.5
+};
+
+// Unigram weight of every inventory symbol, as the generator sees the profile: its listed
+// frequency (or count share), and half the rarest listed one in its class when the data
+// doesn't list it. Symbols outside the inventory are dropped. Not normalized.
+//   → { classOf: {sym: cls}, weights: {sym: w} }
+export function unigramWeights(profile={}){
+  const { classOf } = loadInventory(profile.phonemes);
+  delete classOf['#'];
+  const syms = Object.keys(classOf);
+  const norm = (obj) => Object.fromEntries(Object.entries(obj ?? {}).map(([k,v])=>[normalizePhoneme(k), v]));
+
+  const counts = norm(profile.counts);
+  const countTotal = Object.values(counts).reduce((a,b)=>a+Number(b||0),0);
+  const flatFreq = profile.freq instanceof Map ? norm(Object.fromEntries(profile.freq)) : null;
+  const weights = {};
+  for (const cls of CLASSES){
+    const members = syms.filter(s=>classOf[s]===cls);
+    const freq = flatFreq ?? norm(profile.freq?.[cls]);
+    const given = {};
+    for (const s of members){
+      const f = freq[s] ?? (countTotal && counts[s] ? counts[s]/countTotal : undefined);
+      if (Number.isFinite(f) && f > 0) given[s] = f;
+    }
+    const floor = Object.keys(given).length ? Math.min(...Object.values(given))/2 : 1;
+    for (const s of members) weights[s] = given[s] ?? floor;
+  }
+  return { classOf, weights };
+}
+
+// Full transition matrix from a language profile (symbols are normalized, so "ng" rows land on ŋ):
+//   { phonemes:{C,V,N}, freq:{C:{sym:p},..}|Map, bigrams:{'C->V':p,..}, counts?:{sym:n}, trans?:Map|{'k->a':p} }
+// A LanguageProfile from profile.js (flat freq Map) works as-is.
+// P[x][y] = P(class y | class x) · P(y | class y); explicit from→to probabilities (the CSV
+// columns) are kept as-is and the class model fills the rest of that row.
+export function buildTransitionMatrix(profile={}){
+  const { classOf, weights } = unigramWeights(profile);
+  const syms = Object.keys(classOf);
+
+  // unigram weight inside each class (see unigramWeights)
+  const within = {};
+  for (const cls of CLASSES){
+    const members = syms.filter(s=>classOf[s]===cls);
+    const Z = members.reduce((a,s)=>a+weights[s],0) || 1;
+    within[cls] = Object.fromEntries(members.map(s=>[s, weights[s]/Z]));
+  }
+
+  const classRow = (from)=>{
+    const row = {};
+    for (const to of [...CLASSES,'#']){
+      const key = `${from}->${to}`;
+      const p = profile.bigrams?.[key] ?? DEFAULT_CLASS_BIGRAMS[key] ?? 0;
+      if (p > 0 && (to==='#' || Object.keys(within[to]).length)) row[to] = p;
+    }
+    const Z = Object.values(row).reduce((a,b)=>a+b,0) || 1;
+    for (const k in row) row[k] /= Z;
+    return row;
+  };
+
+  const explicit = {};
+  const trans = profile.trans instanceof Map ? profile.trans : Object.entries(profile.trans || {});
+  for (const [key, p] of trans){
+    const [from, to] = key.split('->').map(normalizePhoneme);
+    if (!(from in classOf) || !(to in classOf || to==='#') || !(p > 0)) continue;
+    (explicit[from] ||= {})[to] = p;
+  }
+
   const P = {};
-  keys.forEach(k=> P[k] = interpRowLogSoftmax(P_PRESENT[k]||{}, P_PAST[k]||{}, alpha));
+  for (const from of ['#', ...syms]){
+    const cls = from==='#' ? '#' : classOf[from];
+    const row = {};
+    for (const [to, pc] of Object.entries(classRow(cls))){
+      if (to==='#') { row['#'] = pc; continue; }
+      for (const [sym, pu] of Object.entries(within[to])) row[sym] = pc*pu;
+    }
+    const fixed = explicit[from] || {};
+    const fixedMass = Object.values(fixed).reduce((a,b)=>a+b,0);
+    if (fixedMass > 0){
+      const restMass = Math.max(0, 1 - fixedMass);
+      const restZ = Object.entries(row).reduce((a,[k,v])=> k in fixed ? a : a+v, 0) || 1;
+      for (const k in row) row[k] = k in fixed ? 0 : row[k]*restMass/restZ;
+      for (const [k,v] of Object.entries(fixed)) row[k] = v;
+      const Z = Object.values(row).reduce((a,b)=>a+b,0) || 1;
+      for (const k in row) row[k] /= Z;
+    }
+    P[from] = row;
+  }
   return P;
 }
 
+// --- Order-n models with smoothing and backoff
+// A model answers dist(history) → { row, order }: the next-symbol distribution given everything
+// generated so far ('#'-padded on the left) and the highest order that had training evidence.
+// Plain matrices are order-2 models; trainNgram() builds order ≥ 3 from word lists and can sit
+// on top of a dataset matrix (`base`), which then plays the role of the bigram prior.
+const isModel = (x)=> typeof x?.dist === 'function';
+export function asModel(P){
+  if (isModel(P)) return P;
+  const rows = P || {};
+  return { order:2, dist: (h)=> ({ row: rows[h[h.length-1] ?? '#'] || {}, order:2 }), matrix: ()=> rows };
+}
+
+// Training sequence for one word: '#'-padded, syllable '.'/'#' marks kept as boundaries
+function trainingSeq(word, order){
+  const toks = Array.isArray(word) ? word.map(normalizePhoneme) : tokenize(word);
+  return [...Array(order-1).fill('#'), ...toks, '#'];
+}
+
+// smoothing: 'witten-bell' (default) or 'kneser-ney' (interpolated, absolute discount D)
+export function trainNgram(words=[], { order=3, smoothing='witten-bell', base=null, discount=0.75 } = {}){
+  if (order < 2) throw new Error('trainNgram: order must be ≥ 2');
+  const basis = base ? asModel(base) : null;
+  // counts[k]: context of length k (joined by ' ') → Map(next → count)
+  const counts = Array.from({length: order}, ()=> new Map());
+  const bump = (k, ctx, w, by=1)=>{
+    const key = ctx.join(' ');
+    if (!counts[k].has(key)) counts[k].set(key, new Map());
+    const m = counts[k].get(key);
+    m.set(w, (m.get(w)||0) + by);
+  };
+  const vocab = new Set(['#']);
+  for (const word of words){
+    const seq = trainingSeq(word, order);
+    for (let i = order-1; i < seq.length; i++){
+      vocab.add(seq[i]);
+      for (let k = 0; k < order; k++) bump(k, seq.slice(i-k, i), seq[i]);
+    }
+  }
+  if (basis) for (const row of Object.values(basis.matrix())) Object.keys(row).forEach(w=>vocab.add(w));
+
+  // Kneser-Ney lower orders use continuation counts: distinct left neighbours of (ctx, w)
+  let effective = counts;
+  if (smoothing === 'kneser-ney'){
+    effective = counts.map((m,k)=> k === order-1 ? m : new Map());
+    for (let k = order-1; k >= 1; k--){
+      for (const [key, nexts] of counts[k]){
+        const shorter = key.split(' ').slice(1);
+        for (const w of nexts.keys()){
+          const ck = shorter.join(' ');
+          if (!effective[k-1].has(ck)) effective[k-1].set(ck, new Map());
+          const m = effective[k-1].get(ck);
+          m.set(w, (m.get(w)||0) + 1);
+        }
+      }
+    }
+  } else if (smoothing !== 'witten-bell'){
+    throw new Error(`trainNgram: unknown smoothing "${smoothing}"`);
+  }
+
+  const V = [...vocab];
+  const floorRow = (h)=>{ // order-0/1 floor: bigram prior if given, else add-one unigram
+    if (basis) return basis.dist(h).row;
+    const uni = effective[0].get('') || new Map();
+    const N = [...uni.values()].reduce((a,b)=>a+b,0);
+    return Object.fromEntries(V.map(w=>[w, ((uni.get(w)||0)+1)/(N+V.length)]));
+  };
+  const levelRow = (k, ctx, lower)=>{
+    const nexts = effective[k].get(ctx.join(' '));
+    if (!nexts) return null;
+    const total = [...nexts.values()].reduce((a,b)=>a+b,0);
+    const types = nexts.size;
+    const row = {};
+    if (smoothing === 'kneser-ney'){
+      const backoff = discount*types/total;
+      for (const w of V) row[w] = Math.max((nexts.get(w)||0) - discount, 0)/total + backoff*(lower[w]||0);
+    } else {
+      const lambda = total/(total+types);
+      for (const w of V) row[w] = lambda*((nexts.get(w)||0)/total) + (1-lambda)*(lower[w]||0);
+    }
+    return row;
+  };
+
+  const cache = new Map();
+  const model = {
+    order, smoothing,
+    dist(history){
+      const h = history.slice(-(order-1));
+      while (h.length < order-1) h.unshift('#');
+      const key = h.join(' ');
+      if (cache.has(key)) return cache.get(key);
+      // base prior covers bigrams, so counted levels start at context length 1 there
+      let row = floorRow(h), used = basis ? 2 : 1;
+      for (let k = basis ? 1 : 0; k < order; k++){
+        const next = levelRow(k, h.slice(h.length-k), row);
+        if (!next) continue;
+        row = next;
+        used = k+1;
+      }
+      const out = { row, order: used };
+      cache.set(key, out);
+      return out;
+    },
+    matrix(){
+      return Object.fromEntries(V.map(x=>[x, model.dist([x]).row]));
+    }
+  };
+  return model;
+}
+
+// Log-space blend of models, per context, so interpolation works at every order
+export function blendModels(models, weights){
+  models = models.map(asModel);
+  const w = toWeights(weights, models.length);
+  const order = Math.max(...models.map(m=>m.order));
+  const cache = new Map();
+  const model = {
+    order,
+    dist(history){
+      const key = history.slice(-(order-1)).join(' ');
+      if (cache.has(key)) return cache.get(key);
+      const dists = models.map(m=>m.dist(history));
+      const out = { row: interpRowsLogSoftmax(dists.map(d=>d.row), w), order: Math.max(...dists.map(d=>d.order)) };
+      cache.set(key, out);
+      return out;
+    },
+    matrix(){ return buildP(w, models); }
+  };
+  return model;
+}
+
+// Generation model at alpha or a weight vector: plain anchors give exactly buildP(weights);
+// models blend per context
+export function buildModel(weights, anchors = ANCHORS){
+  if (!anchors.some(isModel)) return asModel(buildP(weights, anchors));
+  return blendModels(anchors, weights);
+}
+
+// --- Seeded PRNG (mulberry32): 32-bit state, period 2^32, uniform floats in [0,1).
+// Every generator entry point takes `rng` as either an integer seed (e.g. the scene's
+// NOISE_SEED, so one saved seed reproduces terrain and words) or a () => [0,1) function.
+// Omit it to keep the old Math.random behaviour.
+export function mulberry32(seed){
+  let s = seed >>> 0;
+  return function(){
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(s ^ (s >>> 15), s | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+export function makeRng(seedOrRng){
+  if (typeof seedOrRng === 'function') return seedOrRng;
+  if (seedOrRng == null || !Number.isFinite(Number(seedOrRng))) return Math.random;
+  return mulberry32(Number(seedOrRng));
+}
+
 // --- Product-automaton constrained sampler
-function sampleWeighted(obj){
-  const r = Math.random();
+// One draw from { key: p }. rng must be a () => [0,1) function: build it once with makeRng,
+// since a seed here would start a fresh generator (and the same draw) on every call.
+export function sampleWeighted(obj, rng=Math.random){
+  if (typeof rng !== 'function') throw new Error('sampleWeighted: rng must be a function (see makeRng)');
+  const r = rng();
   let acc = 0;
   for (const [k,p] of Object.entries(obj)){ acc += p; if (r <= acc) return k; }
   // fallback
   return Object.keys(obj)[0];
 }
-export function generateWord(P, maxSyllables=3){
-  let state = 'START', last = '#', out = [];
-  let syllables = 0;
-  while (syllables < maxSyllables){
-    // legal next symbols by DFA class allowance
-    const candidates = {};
-    for (const [sym, prob] of Object.entries(P[last] || {})){
-      const cls = CLASS_OF[sym] || '#';
-      if (!dfaAllows(state, cls)) continue;
-      candidates[sym] = (candidates[sym]||0) + prob;
-    }
-    if (!Object.keys(candidates).length) break;
-    const next = sampleWeighted(candidates);
-    out.push(next);
-    const cls = CLASS_OF[next] || '#';
-    state = dfaNext(state, cls);
-    if (cls==='#' || state==='SEP'){ syllables++; state='SEP'; last='#'; continue; }
-    last = next;
-  }
-  // strip boundary markers in middle, keep for word breaks if needed
-  return out.filter(x=>x!=='#').join('');
-}
-
-export function generateSequence(alpha, words=10){
-  const P = buildP(alpha);
+// DFA-legal candidates for the next symbol: [[sym, p_raw]], their mass Z and the model order used
+function legalStep(model, history, state, dfa){
+  const { row, order } = model.dist(history);
+  const cand = [];
+  let Z = 0;
+  for (const [sym, p] of Object.entries(row)){
+    if (p <= 0 || !dfaAllows(state, sym, dfa)) continue;
+    cand.push([sym, p]);
+    Z += p;
+  }
+  return { cand, Z, order };
+}
+
+// P: a transition matrix or an order-n model (see trainNgram / buildModel)
+export function generateWord(P, maxSyllables=3, rng, dfa=DEFAULT_DFA){
+  return generateWordWithTrace(asModel(P), maxSyllables, makeRng(rng), dfa).letters.join('');
+}
+
+// Syllables per generated word: generateSequence and generateSequenceTrace draw one of these
+// uniformly per word (analytics.js takes its expected word length from the same list)
+export const WORD_SYLLABLES = [2, 3];
+const drawSyllables = (rng) => WORD_SYLLABLES[Math.floor(rng() * WORD_SYLLABLES.length)];
+
+// alpha may also be a weight vector over the anchors (see buildP)
+export function generateSequence(alpha, words=10, rng){
+  rng = makeRng(rng);
+  const model = buildModel(alpha);
+  const dfa = automatonFor(alpha);
   const seq = [];
-  for (let i=0;i<words;i++) seq.push(generateWord(P, 2 + Math.floor(Math.random()*2)));
+  for (let i=0;i<words;i++) seq.push(generateWord(model, drawSyllables(rng), rng, dfa));
   return seq;
 }
 
 // === Traced generator: returns words + per-step effective probs & surprise ===
 // Effective prob = Markov prob renormalized after DFA legality filtering
-export function generateSequenceTrace(alpha, words = 8) {
-  const P = buildP(alpha);
+// Same (alpha, words, seed) → same letters and edges.
+export function generateSequenceTrace(alpha, words = 8, rng) {
+  rng = makeRng(rng);
+  const model = buildModel(alpha);
+  const dfa = automatonFor(alpha);
   const out = [];
   for (let w = 0; w < words; w++) {
-    const { letters, edges } = generateWordWithTrace(P, 2 + Math.floor(Math.random() * 2));
-    out.push({ letters, edges });
+    const { letters, edges, syllables } = generateWordWithTrace(model, drawSyllables(rng), rng, dfa);
+    out.push({ letters, edges, syllables });
   }
   return out;
 }
 
-// Internal helper mirroring your generator but collecting probabilities
-function generateWordWithTrace(P, maxSyllables = 3) {
-  let state = 'START', last = '#';
+// Internal helper mirroring your generator but collecting probabilities.
+// History keeps the '#' boundaries so higher orders see across syllables.
+function generateWordWithTrace(model, maxSyllables = 3, rng = Math.random, dfa = DEFAULT_DFA) {
+  let state = dfa.start;
+  const history = ['#'];
   const letters = [];
-  const edges = []; // [{prev, next, p_raw, p_eff, surprise}]
+  const edges = []; // [{prev, next, p_raw, p_eff, surprise, order}]
 
   let syllables = 0;
   while (syllables < maxSyllables) {
-    // Collect DFA-legal candidates from Markov row
-    const row = P[last] || {};
-    const cand = [];
-    let Z = 0;
-    for (const [sym, p] of Object.entries(row)) {
-      const cls = CLASS_OF[sym] || '#';
-      if (!dfaAllows(state, cls)) continue;
-      if (p <= 0) continue;
-      cand.push([sym, p]);
-      Z += p;
-    }
+    // Collect DFA-legal candidates from the model row
+    const { cand, Z, order } = legalStep(model, history, state, dfa);
     if (!cand.length) break;
 
     // Sample proportional to p_eff = p_raw / Z
-    let r = Math.random() * Z;
+    let r = rng() * Z;
     let pick = cand[0][0], p_raw = cand[0][1];
     for (const [sym, p] of cand) {
       r -= p;
@@ -159,13 +567,452 @@ function generateWordWithTrace(P, maxSyllables = 3) {
     const surprise = -Math.log(Math.max(p_eff, 1e-12));
 
     letters.push(pick);
-    edges.push({ prev: last, next: pick, p_raw, p_eff, surprise });
+    edges.push({ prev: history[history.length - 1], next: pick, p_raw, p_eff, surprise, order });
 
-    const cls = CLASS_OF[pick] || '#';
-    state = dfaNext(state, cls);
-    if (cls === '#' || state === 'SEP') { syllables++; state = 'SEP'; last = '#'; continue; }
-    last = pick;
+    state = dfa.next(state, pick);
+    history.push(pick);
+    if (pick === '#') syllables++;
   }
   // strip boundaries from letters if they slipped in
-  return { letters: letters.filter(s => s !== '#'), edges };
+  return { letters: letters.filter(s => s !== '#'), edges, syllables: syllablesOf(edges) };
+}
+
+// Syllables (arrays of phonemes) from a trace's '#'-delimited edges
+export function syllablesOf(edges) {
+  const out = [[]];
+  for (const { next } of edges) {
+    if (next === '#') { if (out[out.length - 1].length) out.push([]); }
+    else out[out.length - 1].push(next);
+  }
+  if (!out[out.length - 1].length) out.pop();
+  return out;
+}
+
+// === Constrained generation ===
+// Requirements compile into one more automaton over the generator's symbols (phonemes and
+// '#'), run in lockstep with the syllable DFA:
+//   prefix: 'kh'          the word starts with these letters (C, V, N match a whole class)
+//   suffix: 'N'           ... and ends with these
+//   contains: 'ŋ'         ... and passes through these, in a row, somewhere
+//   syllables: 2 | [2,3]  syllable count (default: the range of WORD_SYLLABLES, as generateSequence)
+//   pattern: 'CVN.CV'     the whole word, '.' marking syllable breaks
+//   avoid: [...] | text   lexicon words that must not come out (letters only, boundaries ignored)
+// A symbol is only offered when an accepting end is still reachable after it, and weighted by
+// how likely that end is. Reachability is worked out on the model's first-order rows, whose
+// support every higher-order row contains, so the sampler never dead-ends and nothing is
+// rejected after the fact. Open-ended syllable ranges ([1, Infinity]) stop at SYLLABLE_CAP.
+const SYLLABLE_CAP = 8;
+const matchesSym = (pattern, sym, classOf) =>
+  CLASSES.includes(pattern) ? classOf[sym] === pattern : pattern === sym;
+
+export function compileConstraints({ prefix, suffix, contains, syllables, pattern, avoid } = {}, classOf = CLASS_OF){
+  const letters = (text) => tokenize(text, classOf).filter(s => s !== '#');
+  const pre = prefix ? letters(prefix) : [];
+  const suf = suffix ? letters(suffix) : [];
+  const mid = contains ? letters(contains) : [];
+  let pat = null;
+  if (pattern){
+    pat = tokenize(pattern, classOf).filter((s, i, a) => !(s === '#' && (i === 0 || a[i - 1] === '#')));
+    if (pat[pat.length - 1] !== '#') pat.push('#');
+  }
+  let [minSyl, maxSyl] = Array.isArray(syllables) ? syllables : syllables != null ? [syllables, syllables]
+    : [Math.min(...WORD_SYLLABLES), Math.max(...WORD_SYLLABLES)];
+  if (!Number.isFinite(minSyl) || minSyl < 0 || !(maxSyl >= minSyl)) throw new Error(`compileConstraints: bad syllable range ${JSON.stringify(syllables)}`);
+  maxSyl = Math.min(maxSyl, Math.max(SYLLABLE_CAP, minSyl));
+  if (pat){
+    const n = pat.filter(s => s === '#').length;
+    if (n < minSyl || n > maxSyl) [minSyl, maxSyl] = syllables != null ? [Infinity, -Infinity] : [n, n];
+  }
+
+  // lexicon trie over letter sequences; node 0 is the root, -1 means "off the lexicon"
+  const children = [new Map()], terminal = [false];
+  const words = typeof avoid === 'string' ? avoid.split(/[\s,;]+/) : [...(avoid || [])];
+  for (const w of words){
+    const seq = letters(w);
+    if (!seq.length) continue;
+    let node = 0;
+    for (const sym of seq){
+      if (!children[node].has(sym)){ children.push(new Map()); terminal.push(false); children[node].set(sym, children.length - 1); }
+      node = children[node].get(sym);
+    }
+    terminal[node] = true;
+  }
+
+  // partial matches of `seq` (lengths matched so far) after one more symbol
+  const advance = (seq, partial, sym) =>
+    [0, ...partial].filter(j => j < seq.length && matchesSym(seq[j], sym, classOf)).map(j => j + 1);
+
+  // state: { p: prefix matched, s: partial suffix matches, c: partial `contains` matches (true
+  // once found), q: pattern position, t: trie node, n: syllables }
+  return {
+    minSyllables: minSyl, maxSyllables: maxSyl,
+    start: { p: 0, s: [], c: mid.length ? [] : true, q: 0, t: words.length ? 0 : -1, n: 0 },
+    key: (st) => `${st.p}|${st.s.join(',')}|${st.c === true ? '+' : st.c.join(',')}|${st.q}|${st.t}|${st.n}`,
+    next(st, sym){
+      if (pat && !(st.q < pat.length && (sym === '#' ? pat[st.q] === '#' : matchesSym(pat[st.q], sym, classOf)))) return null;
+      const q = pat ? st.q + 1 : 0;
+      if (sym === '#') return { ...st, q, n: st.n + 1 };
+      if (st.p < pre.length && !matchesSym(pre[st.p], sym, classOf)) return null;
+      const s = suf.length ? advance(suf, st.s, sym) : [];
+      let c = st.c;
+      if (c !== true) { c = advance(mid, c, sym); if (c.includes(mid.length)) c = true; }
+      const t = st.t < 0 ? -1 : (children[st.t].get(sym) ?? -1);
+      return { p: Math.min(st.p + 1, pre.length), s, c, q, t, n: st.n };
+    },
+    // called on the state after the word's closing '#'
+    accepts(st){
+      return st.p === pre.length
+        && (!suf.length || st.s.includes(suf.length))
+        && st.c === true
+        && (!pat || st.q === pat.length)
+        && (st.t < 0 || !terminal[st.t])
+        && st.n >= minSyl && st.n <= maxSyl;
+    },
+  };
+}
+
+// One word with exactly `target` syllables through model × syllable DFA × constraints.
+// Each legal symbol is weighted by the chance that the unconstrained sampler, having drawn it,
+// still ends in an accepted word (completion(...) from generateConstrained), so the draw is the
+// plain generator conditioned on the constraints: p_eff = p_raw · h(next) / Σ p_raw · h.
+function generateConstrainedWord(model, target, rng, dfa, cons, completion){
+  let state = dfa.start, cst = cons.start;
+  const history = ['#'];
+  const edges = [];
+  for (;;){
+    const { row, order } = model.dist(history);
+    const cand = [];
+    let Z = 0;
+    for (const [sym, p] of Object.entries(row)){
+      if (p <= 0) continue;
+      const to = dfa.next(state, sym), cto = to == null ? null : cons.next(cst, sym);
+      const h = cto == null ? 0 : completion(to, cto, sym, target);
+      if (!(h > 0)) continue;
+      cand.push([sym, p, to, cto, p * h]);
+      Z += p * h;
+    }
+    if (!cand.length) return null;
+    let r = rng() * Z;
+    let pick = cand[cand.length - 1];
+    for (const c of cand){ r -= c[4]; if (r <= 0){ pick = c; break; } }
+    const [sym, p_raw, to, cto, w] = pick;
+    const p_eff = w / Z;
+    edges.push({ prev: history[history.length - 1], next: sym, p_raw, p_eff, surprise: -Math.log(Math.max(p_eff, 1e-12)), order });
+    history.push(sym);
+    state = to; cst = cto;
+    if (sym === '#' && cst.n === target) break;
+  }
+  return { letters: history.filter(s => s !== '#'), edges, syllables: syllablesOf(edges) };
+}
+
+// Same trace shape as generateSequenceTrace; [] when no word at this blend can meet the
+// constraints (malformed constraints still throw).
+export function generateConstrained(alpha, words = 8, constraints = {}, rng) {
+  rng = makeRng(rng);
+  const model = buildModel(alpha);
+  const dfa = automatonFor(alpha);
+  const cons = compileConstraints(constraints);
+
+  // completion(dfa state, constraint state, last symbol, target): probability that the plain
+  // sampler (first-order rows, renormalized over DFA-legal symbols) finishes the word from here
+  // with `target` syllables and the constraints met — a backward pass over the constraint × DFA
+  // product, memoized. Syllables are finite and counted in the constraint state, so it is acyclic.
+  const memo = new Map();
+  const steps = new Map();
+  const stepsFrom = (state, last) => {
+    const key = `${state}|${last}`;
+    if (!steps.has(key)) {
+      const legal = Object.entries(model.dist([last]).row).filter(([sym, p]) => p > 0 && dfa.next(state, sym) != null);
+      const Z = legal.reduce((a, [, p]) => a + p, 0) || 1;
+      steps.set(key, legal.map(([sym, p]) => [sym, p / Z]));
+    }
+    return steps.get(key);
+  };
+  const completion = (state, cst, last, target) => {
+    if (last === '#' && cst.n === target) return cons.accepts(cst) ? 1 : 0;
+    if (cst.n >= target) return 0;
+    const key = `${state}|${cons.key(cst)}|${last}|${target}`;
+    if (memo.has(key)) return memo.get(key);
+    memo.set(key, 0);
+    let h = 0;
+    for (const [sym, p] of stepsFrom(state, last)) {
+      const cto = cons.next(cst, sym);
+      if (cto != null) h += p * completion(dfa.next(state, sym), cto, sym, target);
+    }
+    memo.set(key, h);
+    return h;
+  };
+
+  // syllable counts are drawn uniformly over the allowed range, then conditioned the same way
+  const targets = [];
+  for (let n = Math.max(1, cons.minSyllables); n <= cons.maxSyllables; n++) {
+    const h = completion(dfa.start, cons.start, '#', n);
+    if (h > 0) targets.push([n, h]);
+  }
+  if (!targets.length) return [];
+  const H = targets.reduce((a, [, h]) => a + h, 0);
+
+  const out = [];
+  for (let w = 0; w < words; w++) {
+    let r = rng() * H, target = targets[targets.length - 1][0];
+    for (const [n, h] of targets) { r -= h; if (r <= 0) { target = n; break; } }
+    const word = generateConstrainedWord(model, target, rng, dfa, cons, completion);
+    if (word) out.push(word);
+  }
+  return out;
+}
+
+// === Scoring: the inverse of generateWordWithTrace ===
+// Tokenizes the word, walks the DFA and returns its log-probability under the same
+// constrained sampler, with edges in the generator's shape. Syllable boundaries may be
+// written ('.' or '#'); otherwise the best-scoring legal placement of '#' is found.
+export function scoreWord(word, alpha = 0, model = buildModel(alpha), dfa = automatonFor(alpha)) {
+  model = asModel(model);
+  const tokens = Array.isArray(word) ? word.map(normalizePhoneme) : tokenize(word);
+  const letters = tokens.filter(s => s !== '#');
+  const result = { word: Array.isArray(word) ? word.join('') : String(word), letters, legal: false, logProb: -Infinity, edges: [] };
+
+  const unknown = letters.filter(s => !CLASS_OF[s]);
+  if (unknown.length) return { ...result, reason: `unknown phoneme${unknown.length > 1 ? 's' : ''}: ${unknown.join(' ')}` };
+  if (!letters.length) return { ...result, reason: 'empty word' };
+
+  // written boundaries are kept (collapsed, trimmed, closed with a final '#')
+  const marked = tokens.includes('#');
+  const seq = marked
+    ? [...tokens.filter((s, i) => !(s === '#' && (i === 0 || tokens[i - 1] === '#'))).filter((s, i, a) => !(s === '#' && i === a.length - 1)), '#']
+    : letters;
+  let furthest = 0;
+
+  const step = (history, state, sym) => {
+    const { cand, Z, order } = legalStep(model, history, state, dfa);
+    const hit = cand.find(([s]) => s === sym);
+    if (!hit) return null;
+    const p_raw = hit[1], p_eff = p_raw / (Z || 1e-12);
+    const edge = { prev: history[history.length - 1], next: sym, p_raw, p_eff, surprise: -Math.log(Math.max(p_eff, 1e-12)), order };
+    return { edge, to: dfa.next(state, sym) };
+  };
+
+  // best(i, state, history) = best-scoring completion of seq[i..]; memoized on the model's context
+  const memo = new Map();
+  const ctx = Math.max(1, model.order - 1);
+  const best = (i, state, history) => {
+    const key = `${i}|${state}|${history.slice(-ctx).join(' ')}`;
+    if (memo.has(key)) return memo.get(key);
+    furthest = Math.max(furthest, i);
+    let out = null;
+    const consider = (sym, nextI) => {
+      const s = step(history, state, sym);
+      if (!s) return;
+      const rest = (sym === '#' && nextI === seq.length) ? { logProb: 0, edges: [] } : best(nextI, s.to, [...history, sym]);
+      if (!rest) return;
+      const logProb = Math.log(Math.max(s.edge.p_eff, 1e-300)) + rest.logProb;
+      if (!out || logProb > out.logProb) out = { logProb, edges: [s.edge, ...rest.edges] };
+    };
+    if (i < seq.length) consider(seq[i], i + 1);
+    // unmarked words: a syllable may close before any later letter, and must close at the end
+    if (!marked && i > 0 && history[history.length - 1] !== '#') consider('#', i);
+    memo.set(key, out);
+    return out;
+  };
+  const found = best(0, dfa.start, ['#']);
+  if (!found) {
+    const at = furthest < seq.length ? `"${seq[furthest]}" (token ${furthest})` : 'the word end';
+    return { ...result, reason: `phonotactics reject it at ${at}` };
+  }
+  return { ...result, legal: true, logProb: found.logProb, edges: found.edges, syllables: syllablesOf(found.edges) };
+}
+
+// Batch form; one blended model is shared across the list
+export function scoreWords(words, alpha = 0) {
+  const model = buildModel(alpha), dfa = automatonFor(alpha);
+  return words.map(w => scoreWord(w, alpha, model, dfa));
+}
+
+// === Drift estimation: the alpha that best explains a word list ===
+// Profile likelihood over alpha ∈ [0,1] (grid, then golden-section refinement), with a
+// likelihood-ratio confidence interval: { α : 2(ℓ(α̂) − ℓ(α)) ≤ χ²₁(level) }.
+// Words no alpha can produce are left out and listed in `rejected`. When the rest can't all
+// come from one alpha (each is legal somewhere, never together) there is no fit: alpha is NaN
+// and `reason` says why.
+const CHI2_1 = { 0.9: 2.706, 0.95: 3.841, 0.99: 6.635 };
+export function estimateAlpha(words, { steps = 51, level = 0.95 } = {}) {
+  if (!(level in CHI2_1)) throw new Error(`estimateAlpha: unsupported level ${level} (use ${Object.keys(CHI2_1).join(', ')})`);
+  const grid = Array.from({ length: steps }, (_, i) => i / (steps - 1));
+  const scored = grid.map(alpha => scoreWords(words, alpha));
+  const usable = words.map((_, w) => scored.some(row => row[w].legal));
+  const rejected = words
+    .map((word, w) => usable[w] ? null : { word, reason: scored[0][w].reason })
+    .filter(Boolean);
+  const logLikAt = (row) => row.reduce((sum, r, w) => usable[w] ? sum + r.logProb : sum, 0);
+  const curve = grid.map((alpha, i) => ({ alpha, logLik: logLikAt(scored[i]) }));
+  const used = usable.filter(Boolean).length;
+  const noFit = (reason) => ({ alpha: NaN, logLik: -Infinity, ci: [NaN, NaN], level, curve, used, rejected, reason });
+  if (!used) return noFit('no word is legal at any alpha');
+  if (!curve.some(c => Number.isFinite(c.logLik))) return noFit('no single alpha makes every word legal');
+
+  // refine around the best grid point
+  let bi = 0;
+  curve.forEach((c, i) => { if (c.logLik > curve[bi].logLik) bi = i; });
+  const f = (alpha) => logLikAt(scoreWords(words, alpha));
+  let lo = grid[Math.max(0, bi - 1)], hi = grid[Math.min(steps - 1, bi + 1)];
+  const g = (Math.sqrt(5) - 1) / 2;
+  let x1 = hi - g * (hi - lo), x2 = lo + g * (hi - lo), f1 = f(x1), f2 = f(x2);
+  for (let it = 0; it < 30 && hi - lo > 1e-4; it++) {
+    if (f1 >= f2) { hi = x2; x2 = x1; f2 = f1; x1 = hi - g * (hi - lo); f1 = f(x1); }
+    else { lo = x1; x1 = x2; f1 = f2; x2 = lo + g * (hi - lo); f2 = f(x2); }
+  }
+  let alpha = (lo + hi) / 2, logLik = f(alpha);
+  if (curve[bi].logLik > logLik) ({ alpha, logLik } = curve[bi]);
+
+  // walk outwards from the refined alpha over the grid points beyond it until the likelihood
+  // drops by the chi-square cutoff; interpolate the crossing
+  const cut = logLik - CHI2_1[level] / 2;
+  const crossing = (dir) => {
+    let a = { alpha, logLik };
+    const x = alpha * (steps - 1);
+    for (let j = dir > 0 ? Math.floor(x) + 1 : Math.ceil(x) - 1; j >= 0 && j < steps; j += dir) {
+      const b = curve[j];
+      if (b.logLik < cut) {
+        if (!Number.isFinite(b.logLik)) return a.alpha;
+        return a.alpha + (b.alpha - a.alpha) * (a.logLik - cut) / (a.logLik - b.logLik);
+      }
+      a = b;
+    }
+    return a.alpha;
+  };
+  const ci = [crossing(-1), crossing(1)];
+  return { alpha, logLik, ci, level, curve, used, rejected };
+}
+
+// === Most probable words: best-first search over (history, DFA state) ===
+// Every step costs −log p_eff ≥ 0, so popping the cheapest partial word first yields finished
+// words in decreasing probability — exact while nothing is dropped. `beam` (default 5000)
+// bounds the frontier: past twice that, only the `beam` cheapest entries are kept, which makes
+// the search approximate but bounded in memory; beam: Infinity gives the exact search.
+// A word's logProb is the one scoreWord gives its syllabification; a spelling reachable by two
+// syllabifications is listed once, with its best parse. Syllable counts are fixed per word
+// (as in generateWord), so words of different lengths compete on their own probability.
+class MinHeap {
+  constructor(){ this.items = []; }
+  get size(){ return this.items.length; }
+  push(item){
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0){
+      const p = (i - 1) >> 1;
+      if (a[p].cost <= a[i].cost) break;
+      [a[p], a[i]] = [a[i], a[p]];
+      i = p;
+    }
+  }
+  pop(){
+    const a = this.items;
+    const top = a[0], last = a.pop();
+    if (a.length){
+      a[0] = last;
+      let i = 0;
+      for (;;){
+        const l = 2*i + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].cost < a[m].cost) m = l;
+        if (r < a.length && a[r].cost < a[m].cost) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+  // keep the n cheapest entries
+  truncate(n){
+    if (this.items.length <= n) return;
+    this.items.sort((x, y) => x.cost - y.cost).length = n;
+  }
+}
+
+// Search nodes share their prefixes: each holds its last symbol, the edge that drew it and a
+// pointer to its parent, so a push costs O(1) however long the word gets
+function lastSymbols(node, n){
+  const out = [];
+  for (let at = node; at && out.length < n; at = at.parent) out.push(at.sym);
+  return out.reverse();
+}
+
+function unwindEdges(node){
+  const edges = [];
+  for (let at = node; at.parent; at = at.parent) edges.push(at.edge);
+  return edges.reverse();
+}
+
+export function topWords(alpha = 0, { k = 20, minSyllables = 1, maxSyllables = 3, maxLength = Infinity, beam = 5000, maxExpansions = 200000 } = {}) {
+  const model = buildModel(alpha);
+  const dfa = automatonFor(alpha);
+  const context = Math.max(1, model.order - 1); // symbols the model conditions on
+  const out = [], seen = new Set();
+  const heap = new MinHeap();
+  heap.push({ cost: 0, sym: '#', edge: null, parent: null, state: dfa.start, length: 0, syllables: 0 });
+
+  let expansions = 0;
+  while (heap.size && out.length < k && expansions < maxExpansions){
+    const node = heap.pop();
+    if (node.done){
+      const edges = unwindEdges(node);
+      const letters = edges.map(e => e.next).filter(s => s !== '#');
+      const word = letters.join('');
+      if (seen.has(word)) continue;
+      seen.add(word);
+      out.push({ word, letters, logProb: -node.cost, edges, syllables: syllablesOf(edges) });
+      continue;
+    }
+    expansions++;
+    const history = lastSymbols(node, context);
+    if (history.length < context) history.unshift('#');
+    const { cand, Z, order } = legalStep(model, history, node.state, dfa);
+    for (const [sym, p_raw] of cand){
+      const p_eff = p_raw / (Z || 1e-12);
+      const surprise = -Math.log(Math.max(p_eff, 1e-12));
+      const next = {
+        cost: node.cost + surprise,
+        sym,
+        edge: { prev: node.sym, next: sym, p_raw, p_eff, surprise, order },
+        parent: node,
+        state: dfa.next(node.state, sym),
+        length: node.length + (sym === '#' ? 0 : 1),
+        syllables: node.syllables + (sym === '#' ? 1 : 0),
+      };
+      if (next.length > maxLength) continue;
+      if (sym === '#'){
+        // a finished word goes back on the heap so it surfaces in probability order
+        if (next.syllables >= minSyllables) heap.push({ ...next, done: true });
+        if (next.syllables >= maxSyllables) continue;
+      }
+      heap.push(next);
+    }
+    // trimming back to `beam` once it doubles keeps the sort amortized O(log n) per push
+    if (heap.size > 2 * beam) heap.truncate(beam);
+  }
+  return out;
+}
+
+// Diff mode: words whose rank moves most between two drift values (default α=0 → α=1).
+// Ranks come from a top-`pool` list at each end; a word missing from one list gets rank null
+// there and counts as pool + 1 when sorting. logProbs are rescored at both ends (−Infinity
+// when the other end's phonotactics reject the word).
+export function topWordsDiff({ k = 20, from = 0, to = 1, pool = k * 5, ...opts } = {}) {
+  const lists = [from, to].map(alpha => topWords(alpha, { ...opts, k: pool }));
+  const ranks = lists.map(list => new Map(list.map((w, i) => [w.word, i + 1])));
+  const models = [from, to].map(alpha => [buildModel(alpha), automatonFor(alpha)]);
+  const words = [...new Set(lists.flat().map(w => w.word))];
+  return words.map(word => {
+    const [rankFrom, rankTo] = ranks.map(r => r.get(word) ?? null);
+    const [logProbFrom, logProbTo] = models.map(([model, dfa], i) => {
+      const own = lists[i].find(w => w.word === word);
+      return own ? own.logProb : scoreWord(word, 0, model, dfa).logProb;
+    });
+    const shift = (rankFrom ?? pool + 1) - (rankTo ?? pool + 1);
+    return { word, rankFrom, rankTo, shift, logProbFrom, logProbTo };
+  })
+    .sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift) || b.logProbTo - a.logProbTo)
+    .slice(0, k);
 }
@@ -0,0 +1,146 @@
+// erosion.js
+// Seeded erosion over the terrain grid's Y (xyz interleaved, row-major: cols × rows vertices,
+// as PlaneGeometry lays them out). Runs after displacement, in the worker or inline, and
+// works on heights normalized to 0..1 so the constants don't depend on heightScale.
+//   hydraulicErosion(h, grid, opts)   droplets run downhill, picking up and dropping sediment
+//   thermalErosion(h, grid, opts)     slopes steeper than the talus angle slump into their neighbours
+//   erodeHeights(positions, grid, opts)   both, in that order
+// grid: { cols, rows, cellX, cellZ }   (vertex counts and world spacing)
+// opts: { seed, droplets, rain, talus (degrees), thermalIterations }
+// The same grid + opts always give the same heights: droplets come from one seeded stream
+// and the thermal pass updates all cells from the previous iteration at once.
+import { mulberry32 } from './engine.js';
+
+const HYDRAULIC = {
+  inertia: 0.05,      // how much a droplet keeps its direction (0 = straight downhill)
+  capacity: 4,        // sediment a droplet can carry per unit of speed · water · drop
+  minCapacity: 0.01,
+  erodeSpeed: 0.3,
+  depositSpeed: 0.3,
+  evaporate: 0.01,
+  gravity: 4,
+  lifetime: 30,       // steps per droplet
+};
+
+// Height and gradient at a point inside cell (x0, z0), bilinear over its four corners
+function sampleCell(h, cols, x, z, out) {
+  const x0 = Math.floor(x), z0 = Math.floor(z);
+  const u = x - x0, v = z - z0;
+  const i = z0 * cols + x0;
+  const a = h[i], b = h[i + 1], c = h[i + cols], d = h[i + cols + 1];
+  out.height = a * (1 - u) * (1 - v) + b * u * (1 - v) + c * (1 - u) * v + d * u * v;
+  out.gx = (b - a) * (1 - v) + (d - c) * v;
+  out.gz = (c - a) * (1 - u) + (d - b) * u;
+  return out;
+}
+
+// Add `amount` to the four corners of the cell around (x, z), bilinear weights
+function splat(h, cols, x, z, amount) {
+  const x0 = Math.floor(x), z0 = Math.floor(z);
+  const u = x - x0, v = z - z0;
+  const i = z0 * cols + x0;
+  h[i]            += amount * (1 - u) * (1 - v);
+  h[i + 1]        += amount * u * (1 - v);
+  h[i + cols]     += amount * (1 - u) * v;
+  h[i + cols + 1] += amount * u * v;
+}
+
+// Particle hydraulic erosion (after Hans Theobald Beyer's droplet model), in grid units
+export function hydraulicErosion(h, { cols, rows }, { seed = 0, droplets = 0, rain = 1 } = {}) {
+  const K = HYDRAULIC;
+  const rng = mulberry32(seed);
+  const here = { height: 0, gx: 0, gz: 0 }, there = { height: 0, gx: 0, gz: 0 };
+  const maxX = cols - 1, maxZ = rows - 1;
+
+  for (let n = 0; n < droplets; n++) {
+    let x = rng() * maxX, z = rng() * maxZ;
+    let dx = 0, dz = 0, speed = 1, water = rain, sediment = 0;
+
+    for (let step = 0; step < K.lifetime; step++) {
+      sampleCell(h, cols, x, z, here);
+      dx = dx * K.inertia - here.gx * (1 - K.inertia);
+      dz = dz * K.inertia - here.gz * (1 - K.inertia);
+      const len = Math.hypot(dx, dz);
+      if (len < 1e-9) break; // flat: the droplet pools where it is
+      dx /= len; dz /= len;
+      const nx = x + dx, nz = z + dz;
+      if (nx < 0 || nx >= maxX || nz < 0 || nz >= maxZ) break;
+
+      const drop = sampleCell(h, cols, nx, nz, there).height - here.height;
+      const capacity = Math.max(-drop * speed * water * K.capacity, K.minCapacity);
+      if (sediment > capacity || drop > 0) {
+        // uphill: fill the pit behind it; overloaded: shed part of the excess
+        const amount = drop > 0 ? Math.min(drop, sediment) : (sediment - capacity) * K.depositSpeed;
+        sediment -= amount;
+        splat(h, cols, x, z, amount);
+      } else {
+        // never dig deeper than the drop, or the droplet would carve a pit it can't leave
+        const amount = Math.min((capacity - sediment) * K.erodeSpeed, -drop);
+        sediment += amount;
+        splat(h, cols, x, z, -amount);
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - drop * K.gravity));
+      water *= 1 - K.evaporate;
+      x = nx; z = nz;
+    }
+    // whatever it still carries settles where it stopped, so the pass conserves material
+    splat(h, cols, x, z, sediment);
+  }
+}
+
+// Talus slumping: wherever a neighbour sits lower than the talus angle allows, half the
+// excess moves down (shared between all such neighbours in proportion to their excess)
+export function thermalErosion(h, { cols, rows, cellX, cellZ }, { talus = 35, thermalIterations = 0 } = {}, range = 1) {
+  const tan = Math.tan(talus * Math.PI / 180) / range; // normalized height per world unit
+  // right, left, down, up: index offset and the height difference the angle allows
+  const offset = [1, -1, cols, -cols];
+  const limit = [tan * cellX, tan * cellX, tan * cellZ, tan * cellZ];
+  const delta = new Float64Array(h.length);
+  const excess = new Float64Array(4);
+
+  for (let it = 0; it < thermalIterations; it++) {
+    delta.fill(0);
+    for (let z = 0; z < rows; z++) {
+      for (let x = 0; x < cols; x++) {
+        const i = z * cols + x;
+        let total = 0, most = 0;
+        for (let k = 0; k < 4; k++) {
+          const inside = k === 0 ? x < cols - 1 : k === 1 ? x > 0 : k === 2 ? z < rows - 1 : z > 0;
+          const e = inside ? h[i] - h[i + offset[k]] - limit[k] : 0;
+          excess[k] = e > 0 ? e : 0;
+          total += excess[k];
+          if (e > most) most = e;
+        }
+        if (total <= 0) continue;
+        for (let k = 0; k < 4; k++) {
+          if (excess[k] <= 0) continue;
+          const share = (most / 2) * excess[k] / total;
+          delta[i + offset[k]] += share;
+          delta[i] -= share;
+        }
+      }
+    }
+    for (let i = 0; i < h.length; i++) h[i] += delta[i];
+  }
+}
+
+export function erodeHeights(positions, grid, opts) {
+  const n = grid.cols * grid.rows;
+  if (positions.length !== n * 3) return; // not the grid it was set up for
+  const h = new Float64Array(n);
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const y = positions[i * 3 + 1];
+    h[i] = y;
+    if (y < min) min = y;
+    if (y > max) max = y;
+  }
+  const range = (max - min) || 1;
+  for (let i = 0; i < n; i++) h[i] = (h[i] - min) / range;
+
+  hydraulicErosion(h, grid, opts);
+  thermalErosion(h, grid, opts, range);
+
+  for (let i = 0; i < n; i++) positions[i * 3 + 1] = min + h[i] * range;
+}
@@ -0,0 +1,108 @@
+// features.js
+// Phonological features (manner, place, voicing, aspiration, nasality) for the symbols the
+// datasets use, and the terrain classes derived from them. Anything not in the table is
+// decomposed: diacritics are stripped (ã → a + nasal), a trailing h or ʰ on a stop or
+// affricate marks aspiration (bh, dʰ), and what's left falls back on the inventory class.
+//   featuresOf('tsh')             → { manner: 'affricate', place: 'alveolar', voiced: false, aspirated: true, nasal: false }
+//   classesOf('ã')                → ['vowels', 'nasals']
+//   classifyInventory(profile)    → { vowels: [..], sibilants: [..], .., voicing: [..] }
+//   classScores(profile)          → { vowels: share of the unigram mass, .. }
+import { CLASS_OF, normalizePhoneme, unigramWeights } from './engine.js';
+
+const F = (manner, place, voiced = false, extra = {}) =>
+  ({ manner, place, voiced, aspirated: false, nasal: false, ...extra });
+
+export const FEATURE_TABLE = {
+  a: F('vowel', 'central', true), e: F('vowel', 'front', true), i: F('vowel', 'front', true),
+  o: F('vowel', 'back', true),    u: F('vowel', 'back', true),  'ə': F('vowel', 'central', true),
+
+  m: F('nasal', 'labial', true, { nasal: true }),
+  n: F('nasal', 'alveolar', true, { nasal: true }),
+  'ɲ': F('nasal', 'palatal', true, { nasal: true }),
+  'ŋ': F('nasal', 'velar', true, { nasal: true }),
+
+  p: F('stop', 'labial'),   b: F('stop', 'labial', true),
+  t: F('stop', 'alveolar'), d: F('stop', 'alveolar', true),
+  k: F('stop', 'velar'),    g: F('stop', 'velar', true),
+  q: F('stop', 'uvular'),   'ʔ': F('stop', 'glottal'),
+
+  ts: F('affricate', 'alveolar'), dz: F('affricate', 'alveolar', true),
+  c: F('affricate', 'postalveolar'), j: F('affricate', 'postalveolar', true),
+
+  f: F('fricative', 'labial'), v: F('fricative', 'labial', true),
+  s: F('fricative', 'alveolar'), z: F('fricative', 'alveolar', true),
+  sh: F('fricative', 'postalveolar'), zh: F('fricative', 'postalveolar', true),
+  'ɕ': F('fricative', 'postalveolar'), 'ʑ': F('fricative', 'postalveolar', true),
+  x: F('fricative', 'velar'), h: F('fricative', 'glottal'),
+
+  r: F('approximant', 'alveolar', true), l: F('approximant', 'alveolar', true),
+  y: F('approximant', 'palatal', true),  w: F('approximant', 'labial', true),
+};
+
+// Terrain classes: the four phoneme families plus the feature-level axes
+export const CLASS_TESTS = {
+  vowels:     f => f.manner === 'vowel',
+  nasals:     f => f.manner === 'nasal' || (f.manner === 'vowel' && f.nasal),
+  sibilants:  f => (f.manner === 'fricative' || f.manner === 'affricate') && (f.place === 'alveolar' || f.place === 'postalveolar'),
+  stops:      f => f.manner === 'stop',
+  aspiration: f => f.aspirated,
+  voicing:    f => f.voiced && ['stop', 'affricate', 'fricative'].includes(f.manner),
+};
+export const CLASS_NAMES = Object.keys(CLASS_TESTS);
+
+const FALLBACK = {
+  V: F('vowel', 'central', true),
+  N: F('nasal', null, true, { nasal: true }),
+  C: F(null, null),
+};
+
+export function featuresOf(sym, classOf = CLASS_OF, table = FEATURE_TABLE) {
+  const s = normalizePhoneme(sym);
+  if (table[s]) return table[s];
+
+  const nfd = s.normalize('NFD');
+  const base = nfd.replace(/\p{M}/gu, '');
+  if (base !== nfd && base) {
+    const f = featuresOf(base, classOf, table);
+    return nfd.includes('̃') ? { ...f, nasal: true } : f;
+  }
+
+  const aspirate = /^(.+?)(h|ʰ)$/u.exec(s);
+  if (aspirate) {
+    const f = featuresOf(aspirate[1], classOf, table);
+    if (f.manner === 'stop' || f.manner === 'affricate') return { ...f, aspirated: true };
+  }
+  return FALLBACK[classOf[s]] || FALLBACK.C;
+}
+
+export function classesOf(sym, classOf = CLASS_OF) {
+  const f = featuresOf(sym, classOf);
+  return CLASS_NAMES.filter(name => CLASS_TESTS[name](f));
+}
+
+// The profile's inventory (frequencies for symbols outside it don't count)
+function symbolsOf(profile) {
+  if (profile.classOf) return Object.keys(profile.classOf).filter(s => s !== '#');
+  const { C = [], V = [], N = [] } = profile.phonemes || {};
+  return [...new Set([...C, ...V, ...N])];
+}
+
+export function classifyInventory(profile) {
+  const classOf = profile.classOf || CLASS_OF;
+  const out = Object.fromEntries(CLASS_NAMES.map(name => [name, []]));
+  for (const sym of symbolsOf(profile)) {
+    for (const name of classesOf(sym, classOf)) out[name].push(sym);
+  }
+  return out;
+}
+
+// Share of the unigram mass each class carries, under the weights the word engine generates
+// from (engine.js unigramWeights), so members the data doesn't list still count a little.
+// Classes overlap (ã is a vowel and a nasal); 0 for a class the inventory lacks.
+export function classScores(profile) {
+  const { weights } = unigramWeights(profile);
+  const Z = Object.values(weights).reduce((a, b) => a + b, 0) || 1;
+  const members = classifyInventory(profile);
+  return Object.fromEntries(CLASS_NAMES.map(name =>
+    [name, members[name].reduce((a, s) => a + (weights[normalizePhoneme(s)] || 0), 0) / Z]));
+}
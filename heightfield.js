@@ -0,0 +1,314 @@
+// heightfield.js
+// The terrain kernels: height field, normals and vertex colours over flat Float32Arrays
+// (xyz / rgb interleaved), with every input passed in as plain data. No scene, no CONFIG —
+// so the same code runs in terrain.worker.js and on the main thread (regenerate, fallback).
+// terrainShader.js evaluates the same field on the GPU; terrainSampler is its CPU twin.
+//   terrainSampler(params)                           (x, z) → height
+//   displaceHeights(positions, params)               writes Y from noise + data terms, then erodes
+//   computeNormals(positions, index, normals)        indexed-grid vertex normals
+//   colorTerrain(positions, colors, params)          elevation ramp + overlay
+//   computeTerrain({ positions, normals, colors }, index, params)  all of the above
+// params (built by terrainParams() in main.js):
+//   { seed, noiseScale, heightScale, ridgeBias, influence,
+//     fit,                                            amplitude factor on displaced meshes
+//     terms: { hG, hA, hD }, fallback,                data height (see dataHeightTerms)
+//     regional: { alpha, points: [{x, z, t}] } | null,
+//     colors: { stops: [{ t, rgb }], widthTint },
+//     overlay: { kind: 'influence', rgb, amount } | { kind: 'heat', H, weights, .. } | null,
+//     erosion: { grid, seed, droplets, rain, talus, thermalIterations } | null   (see erosion.js) }
+import { erodeHeights } from './erosion.js';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Ken Perlin's reference permutation (the table three's ImprovedNoise uses). The shader reads
+// it from a texture, so CPU and GPU hash lattice points identically.
+export const PERLIN_PERMUTATION = Uint8Array.from([
+  151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,99,37,240,21,10,
+  23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,203,117,35,11,32,57,177,33,88,237,149,56,87,
+  174,20,125,136,171,168,68,175,74,165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,
+  133,230,220,105,92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,
+  89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,226,250,124,123,5,
+  202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,182,189,28,42,223,183,170,213,119,
+  248,152,2,44,154,163,70,221,153,101,155,167,43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,
+  178,185,112,104,218,246,97,228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,
+  14,239,107,49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,236,205,
+  93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180,
+]);
+const P = new Uint8Array(512);
+for (let i = 0; i < 512; i++) P[i] = PERLIN_PERMUTATION[i & 255];
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+function grad(hash, x, y, z) {
+  const h = hash & 15;
+  const u = h < 8 ? x : y, v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+// Improved Perlin noise, as three's ImprovedNoise.noise
+export function perlinNoise(x, y, z) {
+  const fx = Math.floor(x), fy = Math.floor(y), fz = Math.floor(z);
+  const X = fx & 255, Y = fy & 255, Z = fz & 255;
+  x -= fx; y -= fy; z -= fz;
+  const x1 = x - 1, y1 = y - 1, z1 = z - 1;
+  const u = fade(x), v = fade(y), w = fade(z);
+  const A = P[X] + Y, AA = P[A] + Z, AB = P[A + 1] + Z;
+  const B = P[X + 1] + Y, BA = P[B] + Z, BB = P[B + 1] + Z;
+  return lerp(
+    lerp(lerp(grad(P[AA], x, y, z),      grad(P[BA], x1, y, z), u),
+         lerp(grad(P[AB], x, y1, z),     grad(P[BB], x1, y1, z), u), v),
+    lerp(lerp(grad(P[AA + 1], x, y, z1),  grad(P[BA + 1], x1, y, z1), u),
+         lerp(grad(P[AB + 1], x, y1, z1), grad(P[BB + 1], x1, y1, z1), u), v),
+    w);
+}
+
+// Sampling offset for a seed (simple LCG), shared with the shader's uSeedOffset
+export function seedOffset(seed) {
+  let s = seed >>> 0;
+  function rnd() { s = (1664525 * s + 1013904223) >>> 0; return s / 0xffffffff; }
+  const dx = rnd() * 1000, dz = rnd() * 1000;
+  return [dx, dz];
+}
+
+export function makeSeededNoise(seed) {
+  const [dx, dz] = seedOffset(seed);
+  return {
+    noise(x, y, z) { return perlinNoise(x + dx, y, z + dz); }
+  };
+}
+
+// Inverse-distance² mix of the anchor cities' t (null without anchors)
+export function regionalT(x, z, points) {
+  if (!points?.length) return null;
+  let num = 0, den = 0;
+  for (const p of points) {
+    const dx = x - p.x, dz = z - p.z;
+    const d2 = dx*dx + dz*dz;
+    const w = 1.0 / Math.max(1e-3, d2); // inverse distance^2
+    num += w * p.t;
+    den += w;
+  }
+  return den > 0 ? (num / den) : null;
+}
+
+// Height at (x, z) for one set of params: the single definition of the field on the CPU
+export function terrainSampler(p) {
+  const perlin   = makeSeededNoise(p.seed);       // seeded for reproducibility
+  const ridgeExp = lerp(1.0, 0.65, p.ridgeBias);
+  const { hG, hA, hD } = p.terms;
+  const points = p.regional?.points;
+  const alphaRegional = p.regional?.alpha ?? 0.6;
+  const dataScale = p.heightScale * (p.influence * 4.0); // 💥 much stronger overall data influence
+
+  return (x, z) => {
+    // --- base fractal noise field (3 octaves) ---
+    const nx = x * p.noiseScale;
+    const nz = z * p.noiseScale;
+    const n1 = perlin.noise(nx,          0, nz);
+    const n2 = perlin.noise(nx * 2.03,   0, nz * 2.03) * 0.5;
+    const n3 = perlin.noise(nx * 4.07,   0, nz * 4.07) * 0.25;
+    let n = (n1 + n2 + n3) / (1 + 0.5 + 0.25);
+    n = Math.sign(n) * Math.pow(Math.abs(n), ridgeExp);     // “ridged” shaping
+    const baseH = n * p.heightScale;
+
+    // --- local blend (global weights, pulled toward the regional A→B value) ---
+    const tRegional = points ? regionalT(x, z, points) : null;
+    const k = (tRegional == null) ? 0 : alphaRegional;
+    const tR = tRegional ?? 0;
+
+    // --- class height modifier: lerp(global, A + tR·(B−A), k), or the legacy fallback ---
+    const dataMod = hG + k * (hA + tR * hD - hG) + (p.fallback || 0);
+    return baseH + dataMod * dataScale;
+  };
+}
+
+// terrainSampler is the field before erosion and the amplitude fit; erosion needs the whole
+// grid, so it only exists on meshes displaced here
+export function displaceHeights(positions, p) {
+  const heightAt = terrainSampler(p);
+  const fit = p.fit ?? 1;
+  for (let i = 0; i < positions.length; i += 3) positions[i + 1] = heightAt(positions[i], positions[i + 2]) * fit;
+  if (p.erosion) erodeHeights(positions, p.erosion.grid, p.erosion);
+}
+
+// Height range and heat-sensitivity range over a coarse grid: what the shader normalizes by
+// (the CPU passes measure the actual mesh instead)
+export function estimateRanges(p, width, depth, steps = 96) {
+  const heightAt = terrainSampler(p);
+  const heat = p.overlay?.kind === 'heat' ? p.overlay : null;
+  const local = new Float64Array(heat ? heat.H.length : 0);
+  let minY = Infinity, maxY = -Infinity, minS = Infinity, maxS = -Infinity;
+  for (let iz = 0; iz <= steps; iz++) {
+    for (let ix = 0; ix <= steps; ix++) {
+      const x = (ix / steps - 0.5) * width, z = (iz / steps - 0.5) * depth;
+      const y = heightAt(x, z);
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      if (heat) {
+        const sens = heatSensitivityAt(x, z, heat, p.regional, local);
+        if (sens < minS) minS = sens;
+        if (sens > maxS) maxS = sens;
+      }
+    }
+  }
+  return { height: [minY, maxY], heat: heat ? [minS, maxS] : [0, 0] };
+}
+
+// Same accumulation as BufferGeometry.computeVertexNormals for indexed geometry
+export function computeNormals(positions, index, normals) {
+  normals.fill(0);
+  for (let f = 0; f < index.length; f += 3) {
+    const a = index[f] * 3, b = index[f + 1] * 3, c = index[f + 2] * 3;
+    const cbx = positions[c] - positions[b], cby = positions[c + 1] - positions[b + 1], cbz = positions[c + 2] - positions[b + 2];
+    const abx = positions[a] - positions[b], aby = positions[a + 1] - positions[b + 1], abz = positions[a + 2] - positions[b + 2];
+    const nx = cby * abz - cbz * aby, ny = cbz * abx - cbx * abz, nz = cbx * aby - cby * abx;
+    for (const v of [a, b, c]) { normals[v] += nx; normals[v + 1] += ny; normals[v + 2] += nz; }
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+    normals[i] /= len; normals[i + 1] /= len; normals[i + 2] /= len;
+  }
+}
+
+export function boundsOf(positions) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let j = 0; j < 3; j++) {
+      const v = positions[i + j];
+      if (v < min[j]) min[j] = v;
+      if (v > max[j]) max[j] = v;
+    }
+  }
+  return { min, max };
+}
+
+function sampleRamp(stops, tNorm, out) {
+  let a = stops[0], b = stops[0], local = 0;
+  if (tNorm >= stops[stops.length - 1].t) a = b = stops[stops.length - 1];
+  for (let i = 0; i < stops.length - 1; i++) {
+    if (tNorm >= stops[i].t && tNorm <= stops[i + 1].t) {
+      a = stops[i]; b = stops[i + 1];
+      local = (tNorm - a.t) / (b.t - a.t);
+      break;
+    }
+  }
+  for (let j = 0; j < 3; j++) out[j] = lerp(a.rgb[j], b.rgb[j], local);
+  return out;
+}
+
+// HSL → RGB as THREE.Color.setHSL does (no colour-space conversion)
+function hslToRgb(h, s, l, out) {
+  const hue2rgb = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+    return p;
+  };
+  h = ((h % 1) + 1) % 1;
+  const p = l <= 0.5 ? l * (1 + s) : l + s - (l * s);
+  const q = 2 * l - p;
+  out[0] = hue2rgb(q, p, h + 1 / 3);
+  out[1] = hue2rgb(q, p, h);
+  out[2] = hue2rgb(q, p, h - 1 / 3);
+  return out;
+}
+
+// Elevation ramp; widthTint pulls toward a blue-teal that shifts from centre to edges
+export function colorByElevation(positions, colors, { stops, widthTint }, box = boundsOf(positions)) {
+  const minY = box.min[1], maxY = box.max[1];
+  const cx = (box.min[0] + box.max[0]) * 0.5;
+  const cz = (box.min[2] + box.max[2]) * 0.5;
+  const maxR = Math.hypot(box.max[0] - cx, box.max[2] - cz) || 1;
+  const denom = (maxY - minY) || 1.0;
+  const c = [0, 0, 0], tint = [0, 0, 0];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    sampleRamp(stops, clamp((positions[i + 1] - minY) / denom, 0, 1), c);
+    if (widthTint) {
+      const r = Math.hypot(positions[i] - cx, positions[i + 2] - cz) / maxR; // 0 center -> 1 edges
+      hslToRgb(0.58 + 0.1 * r, 0.45, 0.5, tint);
+      for (let j = 0; j < 3; j++) c[j] = lerp(c[j], tint[j], 0.22);
+    }
+    colors[i] = c[0]; colors[i + 1] = c[1]; colors[i + 2] = c[2];
+  }
+}
+
+// Data influence diagnostic: lerp every vertex toward one overlay colour
+export function overlayInfluence(colors, { rgb, amount }) {
+  for (let i = 0; i < colors.length; i += 3) {
+    for (let j = 0; j < 3; j++) colors[i + j] = lerp(colors[i + j], rgb[j], amount);
+  }
+}
+
+// Transition heat knobs (the shader takes the same defaults)
+export const HEAT_DEFAULTS = { eps: 0.05, intensity: 0.9, gamma: 0.5, threshold: 0.03 };
+
+// Per-vertex sensitivity of the height to the blend (steepest central difference).
+// Height is linear in the weights, so moving eps of weight from vertex j to vertex i changes
+// it by eps·(hᵢ − hⱼ); steps are clipped at the simplex edges, as t was clamped to [0,1].
+// `local` is scratch space for the per-point weights (length H.length)
+export function heatSensitivityAt(x, z, { H, weights, eps = HEAT_DEFAULTS.eps }, regional, local) {
+  const N = H.length;
+  const tReg = regional ? regionalT(x, z, regional.points) : null;
+  const k = (tReg == null) ? 0 : (regional.alpha ?? 0.6);
+  for (let j = 0; j < N; j++) {
+    const r = j === 0 ? 1 - (tReg ?? 0) : j === 1 ? (tReg ?? 0) : 0;
+    local[j] = lerp(weights[j] || 0, r, k);
+  }
+  let sens = 0; // local derivative magnitude
+  for (let a = 0; a < N; a++) {
+    for (let b = a + 1; b < N; b++) {
+      const step = Math.min(eps, local[a]) + Math.min(eps, local[b]);
+      sens = Math.max(sens, step * Math.abs(H[a] - H[b]));
+    }
+  }
+  return sens;
+}
+
+export function overlayTransitionHeat(positions, colors, o, regional) {
+  const { intensity, gamma, threshold, lo, hi } = { ...HEAT_DEFAULTS, ...o };
+  const local = new Float64Array(o.H.length);
+  const vertCount = positions.length / 3;
+  const sensitivities = new Float32Array(vertCount);
+  let minS = Infinity, maxS = -Infinity;
+
+  for (let i = 0; i < vertCount; i++) {
+    const sens = heatSensitivityAt(positions[i*3], positions[i*3+2], o, regional, local);
+    sensitivities[i] = sens;
+    if (sens < minS) minS = sens;
+    if (sens > maxS) maxS = sens;
+  }
+
+  // --- normalize to 0..1 across the mesh, gamma + threshold, then a screen-like blend of the
+  // blue → magenta ramp: result = 1 − (1−base)·(1−overlay·t·intensity)
+  const range = Math.max(1e-6, maxS - minS);
+  for (let i = 0; i < vertCount; i++) {
+    let t = (sensitivities[i] - minS) / range; // 0..1
+    if (t < threshold) continue;              // remove low noise
+    t = Math.pow(t, gamma);                    // gamma boost
+    for (let j = 0; j < 3; j++) {
+      const o = lerp(lo[j], hi[j], t) * t * intensity;
+      colors[i*3+j] = 1 - (1 - colors[i*3+j]) * (1 - o);
+    }
+  }
+}
+
+export function colorTerrain(positions, colors, params, box = boundsOf(positions)) {
+  colorByElevation(positions, colors, params.colors, box);
+  const o = params.overlay;
+  if (o?.kind === 'influence') overlayInfluence(colors, o);
+  else if (o?.kind === 'heat') overlayTransitionHeat(positions, colors, o, params.regional);
+}
+
+// Full pass. With params.heights === false the positions are taken as they are (recolor only).
+export function computeTerrain({ positions, normals, colors }, index, params) {
+  if (params.heights !== false) {
+    displaceHeights(positions, params);
+    computeNormals(positions, index, normals);
+  }
+  const box = boundsOf(positions);
+  colorTerrain(positions, colors, params, box);
+  return box;
+}
@@ -2,133 +2,303 @@
    - Vite + Three.js 0.180.x
    - Elevation colors + width tint (optional)
    - Palette system (Spring/Monsoon/Autumn/Snow) + Time Drift blend
-   - Data layer (Limboo/Bhutia CSV), Data Influence (height)
+   - Data layer (Limboo/Bhutia language profiles), Data Influence (height)
    - Diagnostic overlay for data influence (red=lift, blue=erosion)
    - Map overlay, hero city nodes, ribbons, screenshot key (S)
 */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { ImprovedNoise } from 'three/examples/jsm/math/ImprovedNoise.js';
+import {
+  generateSequenceTrace, estimateAlpha, buildTransitionMatrix, trainNgram,
+  loadInventory, setInventory, setAnchors, setSyllableTemplates, topWords, topWordsDiff,
+  generateConstrained, mulberry32, PHONEMES,
+} from './engine.js';
+import { analyticsSweep, transitionChanges, aggregateTraces } from './analytics.js';
+import { parseRule, applySoundChanges } from './soundchange.js';
+import { describeWord } from './orthography.js';
+import { renderWord, renderSequence, encodeWAV } from './synth.js';
+import { loadProfile, parseProfile, combineProfiles, formatProblems, resampleProfile } from './profile.js';
+import { CLASS_NAMES, classScores } from './features.js';
+import { divergenceReport, reportToCSV } from './divergence.js';
+import {
+  regionalT as regionalTAt, displaceHeights, colorTerrain, computeTerrain, terrainSampler, estimateRanges,
+} from './heightfield.js';
+import { createTerrainMaterial, updateTerrainUniforms, updateUncertaintyUniforms, UNCERTAIN_STEPS } from './terrainShader.js';
 
-async function loadCSVDataset(path) {
-  const res = await fetch(path);
-  const text = await res.text();
-  const lines = text.trim().split(/\r?\n/);
-  if (!lines.length) {
-    console.warn('[DATA] Empty CSV at', path);
-    return { freq: new Map(), total: 0 };
-  }
+// Global re-displace + recolor (safe to call anytime)
+function reDisplaceAndRecolor() {
+  if (!terrainGeometry) return;
+  // GPU mode: a uniform update. Otherwise heights, normals and colours come back from the
+  // terrain worker; see applyTerrainResult
+  if (CONFIG.TERRAIN.gpu) updateGpuTerrain();
+  else requestTerrain();
+}
+
+// make it callable from anywhere (UI handlers will call this)
+window.reDisplaceAndRecolor = reDisplaceAndRecolor;
 
-  // normalize header to lowercase for matching
-  const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+// Words are seeded from the same NOISE_SEED as the terrain, so one saved seed reproduces both
+window.sampleWhispers = (words = 8) => generateSequenceTrace(BLEND.weights, words, NOISE_SEED);
+window.topWords = (k = 20, opts = {}) => topWords(BLEND.weights, { k, ...opts });
+window.topWordsDiff = (k = 20, opts = {}) => topWordsDiff({ k, ...opts });
+window.sampleConstrained = (constraints = {}, words = 8) =>
+  generateConstrained(BLEND.weights, words, constraints, NOISE_SEED);
+
+// Language registry (JSON inventory + CSV counts/transitions per language, see profile.js).
+// The A/B dropdowns pick the endpoints; dropped files add entries at runtime. Every entry is a
+// vertex of the blend simplex (A and B first): the terrain data layer, class coefficients and
+// word engine all read the loaded profiles (BLEND_PROFILES; DATA_A/DATA_B are the first two).
+// More regional datasets (e.g. Lepcha, Nepali) go here as { label, urls } once they're in /public.
+const LANGUAGES = new Map([
+  ['limboo', { label: 'Limboo', urls: ['/limboo.json', '/limboo.csv'] }],
+  ['bhutia', { label: 'Bhutia', urls: ['/bhutia.json', '/bhutia.csv'] }],
+]);
+const LANG_PICK = { A: 'limboo', B: 'bhutia' };
+
+// N-language blend: the simplex vertices are A, B, then every other registered language, and
+// BLEND.weights is the point inside it. Time Drift moves along the A→B edge (t → [1−t, t, 0…]);
+// the simplex widget reaches any mix.
+const BLEND = { ids: ['limboo', 'bhutia'], weights: [1, 0] };
+let BLEND_PROFILES = []; // profiles aligned with BLEND.ids
+
+function blendWeightsForT(t, n = BLEND.ids.length) {
+  const w = new Array(n).fill(0);
+  w[0] = 1 - t;
+  w[1] = (w[1] || 0) + t;
+  return w;
+}
 
-  const iPhon = header.findIndex(h => h === 'phoneme');
-  let iFreq   = header.findIndex(h => h === 'frequency');
+function logProfileProblems(lang) {
+  if (!lang.problems.length) return;
+  const log = lang.problems.some(p => p.level !== 'info') ? console.warn : console.log;
+  log(`[DATA] ${lang.name} (${lang.sources.join(' + ')}):\n  ` + formatProblems(lang.problems).join('\n  '));
+}
 
-  // Fallbacks: freq, count, prob, value, or just "the second column"
-  if (iFreq === -1) {
-    const candidates = ['freq', 'count', 'prob', 'value'];
-    for (const name of candidates) {
-      const idx = header.findIndex(h => h === name);
-      if (idx !== -1) { iFreq = idx; break; }
-    }
-  }
-  if (iFreq === -1 && header.length > 1) {
-    // last-ditch: assume column 1 is the numeric one
-    iFreq = 1;
+async function languageProfile(id) {
+  const entry = LANGUAGES.get(id);
+  if (!entry) throw new Error(`Unknown language "${id}"`);
+  if (!entry.profile) {
+    entry.profile = await loadProfile(...entry.urls);
+    logProfileProblems(entry.profile);
   }
+  return entry.profile;
+}
 
-  if (iPhon === -1 || iFreq === -1) {
-    console.warn('[DATA] Could not find phoneme/frequency columns in', path, 'header =', header);
-    return { freq: new Map(), total: 0 };
+// Load the picked pair (plus the other registered languages as extra blend vertices) and
+// rebuild everything that depends on them
+async function applyLanguagePair() {
+  const ids = [LANG_PICK.A, LANG_PICK.B,
+    ...[...LANGUAGES.keys()].filter(id => id !== LANG_PICK.A && id !== LANG_PICK.B)];
+  try {
+    BLEND_PROFILES = await Promise.all(ids.map(languageProfile));
+  } catch (e) {
+    console.warn('[DATA] Profile load failed; proceeding without dataset influence.', e);
+    BLEND_PROFILES = []; DATA_A = null; DATA_B = null; DATA = null;
+    return;
   }
+  [DATA_A, DATA_B] = BLEND_PROFILES;
 
-  const map = new Map();
-  let total = 0;
+  // a new vertex keeps the current mix; a re-picked A/B axis restarts from the slider
+  const sameAxis = BLEND.ids[0] === ids[0] && BLEND.ids[1] === ids[1];
+  const prev = new Map(BLEND.ids.map((id, i) => [id, BLEND.weights[i]]));
+  BLEND.weights = sameAxis
+    ? ids.map(id => prev.get(id) ?? 0)
+    : blendWeightsForT(window.__timeDriftValue || 0, ids.length);
+  BLEND.ids = ids;
+  DATA = blendData(BLEND_PROFILES, BLEND.weights);
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const cols = line.split(',');
-    const phon = cols[iPhon]?.trim();
-    const raw  = cols[iFreq] ?? '';
-    const freq = Number(raw);
+  computeClassCoeffs?.();
+  bootEngineAnchors();
 
-    if (!phon || !Number.isFinite(freq)) continue;
-    map.set(phon, (map.get(phon) || 0) + freq);
-    total += freq;
-  }
+  console.log('[DATA] Loaded:', { A: DATA_A, B: DATA_B });
+  console.log('[DATA] CLASS_COEFFS =', CLASS_COEFFS);
 
-  // normalize to probabilities
-  if (total > 0) {
-    for (const [k, v] of map) map.set(k, v / total);
-  }
+  const ends = document.getElementById('driftEnds');
+  if (ends) ends.textContent = `0 = ${DATA_A.name} • 1 = ${DATA_B.name}`;
 
-  console.log('[DATA] Parsed', path, 'unique phonemes:', map.size, 'total raw:', total);
-  return { freq: map, total };
+  reDisplaceAndRecolor?.();
+  refreshWhispers(true);
+  updateTransitionGraph(document.getElementById('transitionGraph'));
+  drawBlendSimplex(document.getElementById('blendSimplex'));
+  if (document.getElementById('divergencePanel')?.hidden === false) showDivergenceReport();
 }
 
-// Global re-displace + recolor (safe to call anytime)
-function reDisplaceAndRecolor() {
-  if (!terrainGeometry) return;
-
-  // 1) geometry
-  displaceTerrain(terrainGeometry, { ...CONFIG.TERRAIN });
-  terrainGeometry.computeVertexNormals();
-
-  {
-  const pos = terrainGeometry.attributes.position;
-  const y0 = pos.getY(0), y1 = pos.getY(pos.count - 1);
-  console.log('[REDISP]', 'y0=', y0.toFixed(3), 'yN=', y1.toFixed(3),
-              't=', (window.__timeDriftValue||0).toFixed(2),
-              'W=', JSON.stringify(CONFIG.UI?.weights),
-              'inf=', CONFIG.TERRAIN.dataInfluence);
+// Dropped files: ones sharing a base name (kham.json + kham.csv) make one language
+async function importLanguageFiles(files) {
+  const groups = new Map();
+  for (const file of files) {
+    if (!/\.(csv|json)$/i.test(file.name)) continue;
+    const base = file.name.replace(/\.[^.]+$/, '');
+    if (!groups.has(base)) groups.set(base, []);
+    groups.get(base).push(file);
   }
+  const report = [];
+  for (const [base, group] of groups) {
+    const parts = await Promise.all(group.map(async f => parseProfile(await f.text(), { name: base, source: f.name })));
+    const profile = combineProfiles(parts);
+    logProfileProblems(profile);
+    const errors = profile.problems.filter(p => p.level === 'error');
+    if (errors.length) { report.push(`✗ ${base}: ${errors[0].message}`); continue; }
+    registerLanguage(profile);
+    const warnings = profile.problems.filter(p => p.level === 'warning').length;
+    report.push(`✓ ${profile.name}${warnings ? ` (${warnings} warning${warnings > 1 ? 's' : ''}, see console)` : ''}`);
+  }
+  return report;
+}
 
+function registerLanguage(profile) {
+  const slug = profile.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'language';
+  let id = slug;
+  for (let n = 2; LANGUAGES.has(id); n++) id = `${slug}-${n}`;
+  LANGUAGES.set(id, { label: profile.name, urls: null, profile });
+  fillLanguageSelects();
+  return id;
+}
 
-  // 2) base colors
-  (CONFIG.TERRAIN.useWidthTint ? applyHeightAndWidthColors : applyElevationColors)(terrainGeometry);
-
-  // 3) overlays
-  const heatToggle = document.getElementById('transitionHeat');
-  const heatOn = !!(heatToggle && heatToggle.checked);
-  if (!heatOn) applyDataInfluenceOverlay(terrainGeometry, 0.35);
-  else applyTransitionHeatmap?.(terrainGeometry);
-
-  // 4) snapshot base vertex colors for audio colour modulation
-  const colAttr = terrainGeometry.getAttribute('color');
-  if (colAttr && colAttr.array) {
-    if (!BASE_COLORS || BASE_COLORS.length !== colAttr.array.length) {
-      BASE_COLORS = new Float32Array(colAttr.array.length);
-    }
-    BASE_COLORS.set(colAttr.array);
+function fillLanguageSelects() {
+  for (const side of ['A', 'B']) {
+    const sel = document.getElementById(`lang${side}`);
+    if (!sel) continue;
+    sel.replaceChildren(...[...LANGUAGES].map(([id, entry]) => new Option(entry.label, id)));
+    sel.value = LANG_PICK[side];
   }
+}
 
-  // 5) 🔴 CRUCIAL: refresh audio baseline EVERY time we change geometry
-  //    (otherwise updateAudioTerrainModulation writes old baseline back)
-  const pos = terrainGeometry.attributes.position;
-  AUDIO.restY = new Float32Array(pos.count);
-  for (let i = 0; i < pos.count; i++) AUDIO.restY[i] = pos.getY(i);
+// -------------------------
+// Blend simplex (drag a point to set the weights over every loaded language)
+// -------------------------
+// Vertices sit on a regular polygon (a segment for two languages); inside it the weights are
+// Wachspress coordinates, which reduce to barycentric ones on a triangle and reproduce the
+// point as Σ wᵢ·vᵢ, so drawing and picking agree.
+const SIMPLEX_PAD = 34;
+let BLEND_FRAME = 0;
+
+function simplexVertices(n, W, H) {
+  if (n === 2) return [{ x: SIMPLEX_PAD, y: H / 2 }, { x: W - SIMPLEX_PAD, y: H / 2 }];
+  const cx = W / 2, cy = H / 2 + (n === 3 ? 10 : 0);
+  const r = Math.min(W, H) / 2 - SIMPLEX_PAD + (n === 3 ? 8 : 0);
+  return Array.from({ length: n }, (_, i) => {
+    const a = -Math.PI / 2 + (i * 2 * Math.PI) / n;
+    return { x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) };
+  });
 }
 
-// make it callable from anywhere (UI handlers will call this)
-window.reDisplaceAndRecolor = reDisplaceAndRecolor;
+const triArea = (a, b, c) => ((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
 
-async function bootDataFromCSVs() {
-  const limboo = await loadCSVDataset('/data/Limboo.csv');
-  const bhutia = await loadCSVDataset('/data/Bhutia.csv');
+// Weights for a canvas point; points outside the polygon snap to the nearest edge
+function simplexWeightsAt(V, p) {
+  const n = V.length;
+  const w = new Array(n).fill(0);
+  const along = (a, b) => {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    return THREE.MathUtils.clamp(((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy), 0, 1);
+  };
+  if (n === 2) {
+    const t = along(V[0], V[1]);
+    w[0] = 1 - t; w[1] = t;
+    return w;
+  }
+  const sign = Math.sign(triArea(V[0], V[1], V[2]));
+  const edge = V.map((v, i) => sign * triArea(p, v, V[(i + 1) % n]));
+  const worst = edge.indexOf(Math.min(...edge));
+  if (edge[worst] <= 1e-6) {
+    const j = (worst + 1) % n;
+    const t = along(V[worst], V[j]);
+    w[worst] = 1 - t; w[j] = t;
+    return w;
+  }
+  let Z = 0;
+  for (let i = 0; i < n; i++) {
+    const prev = V[(i + n - 1) % n], next = V[(i + 1) % n];
+    w[i] = (sign * triArea(prev, V[i], next)) / (edge[(i + n - 1) % n] * edge[i]);
+    Z += w[i];
+  }
+  return w.map(x => x / Z);
+}
 
-  DATA_A = limboo;
-  DATA_B = bhutia;
-  DATA   = DATA_A;
+function drawBlendSimplex(canvas) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+  const n = BLEND.ids.length;
+  if (n < 2 || !BLEND_PROFILES.length) return;
+
+  const V = simplexVertices(n, W, H);
+  const colors = blendPalettes(n).map(pal => pal[Math.floor(pal.length / 2)].color.getStyle());
+
+  ctx.strokeStyle = '#2a3644';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  V.forEach((v, i) => (i ? ctx.lineTo(v.x, v.y) : ctx.moveTo(v.x, v.y)));
+  if (n > 2) ctx.closePath();
+  ctx.stroke();
+
+  // A→B edge is the Time Drift axis
+  ctx.strokeStyle = '#4a5a6c';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath(); ctx.moveTo(V[0].x, V[0].y); ctx.lineTo(V[1].x, V[1].y); ctx.stroke();
+  ctx.setLineDash([]);
+
+  const cx = V.reduce((a, v) => a + v.x, 0) / n, cy = V.reduce((a, v) => a + v.y, 0) / n;
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textBaseline = 'middle';
+  V.forEach((v, i) => {
+    ctx.fillStyle = colors[i];
+    ctx.beginPath(); ctx.arc(v.x, v.y, 4, 0, Math.PI * 2); ctx.fill();
+    const dx = n === 2 ? 0 : v.x - cx, dy = n === 2 ? -1 : v.y - cy;
+    const len = Math.hypot(dx, dy) || 1;
+    ctx.textAlign = Math.abs(dx / len) < 0.3 ? 'center' : dx > 0 ? 'left' : 'right';
+    ctx.fillStyle = '#c9d4df';
+    const label = `${BLEND_PROFILES[i]?.name ?? BLEND.ids[i]} ${Math.round((BLEND.weights[i] || 0) * 100)}%`;
+    ctx.fillText(label, v.x + (dx / len) * 10, v.y + (dy / len) * 12);
+  });
 
-  computeClassCoeffs?.();
+  const p = V.reduce((a, v, i) => ({ x: a.x + v.x * (BLEND.weights[i] || 0), y: a.y + v.y * (BLEND.weights[i] || 0) }), { x: 0, y: 0 });
+  ctx.fillStyle = '#f5f7fa';
+  ctx.strokeStyle = '#0b1118';
+  ctx.lineWidth = 2;
+  ctx.beginPath(); ctx.arc(p.x, p.y, 5.5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+}
 
-  console.log('[DATA] Loaded:', { limboo, bhutia });
-  console.log('[DATA] CLASS_COEFFS =', CLASS_COEFFS);
+// Set the blend from a weight vector (aligned with BLEND.ids); the Time Drift slider follows
+// the A:B ratio. Terrain work is coalesced to one pass per frame while dragging.
+function setBlendWeights(weights) {
+  const Z = weights.reduce((a, b) => a + Math.max(0, b), 0) || 1;
+  BLEND.weights = BLEND.ids.map((_, i) => Math.max(0, weights[i] || 0) / Z);
+  const ab = BLEND.weights[0] + BLEND.weights[1];
+  window.__timeDriftValue = ab > 0 ? BLEND.weights[1] / ab : 0;
+  const slider = document.getElementById('timeDrift');
+  if (slider) slider.value = window.__timeDriftValue;
+  DATA = blendData(BLEND_PROFILES, BLEND.weights);
+  drawBlendSimplex(document.getElementById('blendSimplex'));
+
+  if (BLEND_FRAME) return;
+  BLEND_FRAME = requestAnimationFrame(() => {
+    BLEND_FRAME = 0;
+    reDisplaceAndRecolor?.();
+    scheduleTransitionGraph();
+  });
+}
 
-  // first paint
-  reDisplaceAndRecolor?.();
+// Word engine anchors: one per blend vertex (A at t=0, B at t=1, then the rest), from the
+// same profiles, so engine weight vectors line up with BLEND.weights; re-run on every re-pick
+function bootEngineAnchors() {
+  if (BLEND_PROFILES.length < 2) return;
+  try {
+    setInventory(loadInventory(...BLEND_PROFILES.map(lang => lang.phonemes)));
+    // a profile that ships a `words` list upgrades its anchor to a smoothed trigram model
+    const anchor = (lang) => {
+      const P = buildTransitionMatrix(lang);
+      return lang.words?.length ? trainNgram(lang.words, { order: 3, base: P }) : P;
+    };
+    setAnchors(...BLEND_PROFILES.map(anchor));
+    setSyllableTemplates(...BLEND_PROFILES.map(lang => lang.syllable));
+    console.log('[ENGINE] Anchors built from profiles:', BLEND_PROFILES.map(lang => lang.name).join(', '));
+  } catch (e) {
+    console.warn('[ENGINE] Dataset anchors failed; keeping toy matrices.', e);
+  }
 }
 
 // -------------------------
@@ -147,6 +317,10 @@ const CONFIG = {
     ridgeBias: 0.4,      // 0..1
     useWidthTint: true,
     dataInfluence: 0.5,  // 0..1 (slider)
+    erosion: true,       // hydraulic + thermal passes driven by sibilants / stops (CPU mesh only)
+    gpu: false,          // evaluate the field in terrainShader.js (sliders only write uniforms)
+    gpuSegmentsX: 720,   // the GPU mesh can afford a much finer grid
+    gpuSegmentsZ: 540,
   },
   MAP_PLANE: {
     width: 220,
@@ -170,9 +344,26 @@ const CONFIG = {
     latMin: 20.0, latMax: 45.0,
   },
   UI: {
-  weights: { vowels: 1.0, sibilants: 1.0, nasals: 1.0, stops: 1.0 },
+  weights: { vowels: 1.0, sibilants: 1.0, nasals: 1.0, stops: 1.0, aspiration: 0.0, voicing: 0.0 },
   regional: { enabled: false, alpha: 0.6 } // mix strength: 0..1
   },
+  WHISPERS: {
+    perCity: 3,     // words floating above each city at once
+    lifetime: 7.0,  // seconds from fade-in to fade-out
+    rise: 9,        // world units climbed over one lifetime
+    spread: 4,      // horizontal jitter around the city
+    voice: false,   // play each word through the formant synth as it appears
+    label: 'script', // 'script' (native, per the dominant profile), 'ipa' or 'roman'
+  },
+  SOUND_CHANGES: {
+    enabled: false, // whispers show the evolved form (present → past along the drift axis)
+    rules: [        // soundchange.js notation; "@ a" = drift alpha at which the rule fires
+      'k > kh / _a @ 0.3',
+      'V > Ṽ / _N @ 0.4',
+      's > h / #_ @ 0.5',
+      't > ∅ / _# @ 0.7',
+    ],
+  },
 };
 
 // -------------------------
@@ -180,11 +371,13 @@ const CONFIG = {
 // -------------------------
 let renderer, scene, camera, controls;
 let terrainMesh, terrainGeometry, mapMesh;
-let cityGroup, ribbonGroup, labelGroup;
+let cityGroup, ribbonGroup, labelGroup, whisperGroup;
 let clock;
 let NOISE_SEED = 1337; // changes noise field reproducibly
-let CLASS_COEFFS = null; // { A:{v,s,n,tp}, B:{v,s,n,tp}, D:{v,s,n,tp} }  // D = B−A
+let CLASS_COEFFS = null; // [classScores(profile)] per blend vertex (aligned with BLEND.ids)
 let BASE_COLORS = null;   // Float32Array snapshot of per-vertex RGB (after base recolor)
+let TERRAIN_HEIGHT_AT = null; // GPU mode: CPU twin of the shader field, (x, z) → height
+let TERRAIN_FIT = 1;          // CPU mode: amplitude fit from recomputeRidgeSizing, reused by height jobs
 let DATA_A = null, DATA_B = null, DATA = null;
 let PULSE = {
   active: false,
@@ -232,57 +425,39 @@ const AUDIOFX = { lastLevel: 0, beat: 0 }; // beat = short burst envelope
 
 function getF(map, k) { return (map && map.freq && typeof map.freq.get === 'function') ? (map.freq.get(k) || 0) : 0; }
 
-function classScoresForT(t) {
-  if (!CLASS_COEFFS) {
-    // fallback to old path if coeffs missing (shouldn’t happen after boot)
-    // (Optional: keep your old implementation here)
-    return { v: 0, s: 0, n: 0, tp: 0 };
-  }
-  const { A, D } = CLASS_COEFFS;
-  // A + t*(B−A)
-  return {
-    v: A.v  + t * D.v,
-    s: A.s  + t * D.s,
-    n: A.n  + t * D.n,
-    tp: A.tp + t * D.tp,
-  };
-}
+// How each class moves the terrain, per unit of its share of the unigram mass (classScores):
+// `base` is its contribution with the slider at `neutral`, `boost` the extra punch per unit
+// the slider moves away. Vowels/nasals lift, sibilants/stops erode; the feature axes
+// (aspiration, voicing) are neutral at 0 and lift or carve by sign.
+const CLASS_HEIGHT = {
+  vowels:     { base: 0.1,   boost: 0.35, neutral: 1 },
+  nasals:     { base: 0.05,  boost: 0.25, neutral: 1 },
+  sibilants:  { base: -0.08, boost: -0.3, neutral: 1 },
+  stops:      { base: -0.04, boost: -0.2, neutral: 1 },
+  aspiration: { base: 0,     boost: 0.25, neutral: 0 },
+  voicing:    { base: 0,     boost: 0.25, neutral: 0 },
+};
+// While the CPU mesh erodes, these classes act through erosionParams() only; the uniform
+// lowering above is what they do where erosion doesn't run (GPU mode, erosion off)
+const EROSION_CLASSES = new Set(['sibilants', 'stops']);
 
 function dataHeightFromScores(scores) {
   const W = CONFIG.UI.weights;
-  // same semantics you already use: vowels/nasals lift, sibilants/stops erode
-  return (scores.v * 0.6 * W.vowels) + (scores.n * 0.3 * W.nasals)
-       - (scores.s * 0.5 * W.sibilants) - (scores.tp * 0.25 * W.stops);
+  const eroding = CONFIG.TERRAIN.erosion && !CONFIG.TERRAIN.gpu;
+  let h = 0;
+  for (const name of CLASS_NAMES) {
+    if (eroding && EROSION_CLASSES.has(name)) continue;
+    const { base, boost, neutral } = CLASS_HEIGHT[name];
+    h += (scores[name] || 0) * (base + boost * ((W[name] ?? neutral) - neutral));
+  }
+  return h;
 }
 
+// Per-profile class scores; membership comes from the feature table (features.js), so
+// aspirates, affricates and nasalized vowels land in their classes whatever the inventory
 function computeClassCoeffs() {
-  if (!DATA_A || !DATA_B) { CLASS_COEFFS = null; return; }
-
-  const pick = (D, keys) => {
-    let s = 0, c = 0;
-    for (const k of keys) { s += (D.freq.get(k) || 0); c++; }
-    return c ? s / c : 0;
-  };
-
-  const VOW = ['a','e','i','o','u'];
-  const SIB = ['s','sh','z'];
-  const NAS = ['m','n','ng'];
-  const STP = ['p','b','t','d','k','g'];
-
-  const A = {
-    v: pick(DATA_A, VOW),
-    s: pick(DATA_A, SIB),
-    n: pick(DATA_A, NAS),
-    tp: pick(DATA_A, STP)
-  };
-  const B = {
-    v: pick(DATA_B, VOW),
-    s: pick(DATA_B, SIB),
-    n: pick(DATA_B, NAS),
-    tp: pick(DATA_B, STP)
-  };
-  const D = { v: B.v - A.v, s: B.s - A.s, n: B.n - A.n, tp: B.tp - A.tp };
-  CLASS_COEFFS = { A, B, D };
+  if (BLEND_PROFILES.length < 2) { CLASS_COEFFS = null; return; }
+  CLASS_COEFFS = BLEND_PROFILES.map(classScores);
 }
 
 // -------------------------
@@ -329,7 +504,7 @@ async function init() {
     // ✅ Exponential fog reads better in motion and gives cinematic depth
     scene.fog = new THREE.FogExp2(CONFIG.SCENE_BG, 0.006);
 
-    await bootDataFromCSVs();
+    await applyLanguagePair();
 
     // Camera
     camera = new THREE.PerspectiveCamera(55, window.innerWidth / window.innerHeight, 0.1, 3000);
@@ -380,7 +555,8 @@ async function init() {
   cityGroup = new THREE.Group();
   ribbonGroup = new THREE.Group();
   labelGroup = new THREE.Group();
-  scene.add(cityGroup, ribbonGroup, labelGroup);
+  whisperGroup = new THREE.Group();
+  scene.add(cityGroup, ribbonGroup, labelGroup, whisperGroup);
   
   REGION_POINTS = REGION_ANCHORS.map(a => {
    const p = lonLatToXZ(a.lon, a.lat);
@@ -728,6 +904,7 @@ function animate() {
   // other effects
   updatePulse?.();
   updateLabelScales?.();
+  updateWhispers?.();
 
   renderer.render(scene, camera);
 }
@@ -765,166 +942,357 @@ function regenerate() {
     scene.remove(terrainMesh);
   }
 
+  const gpu = !!CONFIG.TERRAIN.gpu;
+  const seg = terrainSegments();
   terrainGeometry = new THREE.PlaneGeometry(
     CONFIG.TERRAIN.width,
     CONFIG.TERRAIN.depth,
-    CONFIG.TERRAIN.segmentsX,
-    CONFIG.TERRAIN.segmentsZ
+    seg.x,
+    seg.z
   );
   terrainGeometry.rotateX(-Math.PI / 2);
 
-  displaceTerrain(terrainGeometry, {
-    noiseScale: CONFIG.TERRAIN.noiseScale,
-    heightScale: CONFIG.TERRAIN.heightScale,
-    ridgeBias: CONFIG.TERRAIN.ridgeBias,
-  });
+  if (!gpu) {
+    TERRAIN_HEIGHT_AT = null;
+    // uneroded here; the eroded heights follow from the worker (see below)
+    displaceTerrain(terrainGeometry, {
+      noiseScale: CONFIG.TERRAIN.noiseScale,
+      heightScale: CONFIG.TERRAIN.heightScale,
+      ridgeBias: CONFIG.TERRAIN.ridgeBias,
+      fit: 1,
+      erosion: false,
+    });
 
-  // Only once on init to get a nice amplitude fit
-  recomputeRidgeSizing(terrainGeometry);
+    // Only once per mesh to get a nice amplitude fit; height jobs (erosion included) reuse
+    // the same factor so the mesh keeps its size when their heights arrive
+    // (GPU mode skips it: the shader and its CPU twin always draw the unscaled field)
+    TERRAIN_FIT = recomputeRidgeSizing(terrainGeometry);
+  }
 
   // Material: slightly glossy to catch light; no flatShading so normals blend smoothly
-  const terrainMaterial = new THREE.MeshStandardMaterial({
-  vertexColors: true,
-  roughness: 0.88,
-  metalness: 0.08
-  });
+  const materialOpts = { roughness: 0.88, metalness: 0.08 };
+  const terrainMaterial = gpu
+    ? createTerrainMaterial({ width: CONFIG.TERRAIN.width, depth: CONFIG.TERRAIN.depth, segmentsX: seg.x, segmentsZ: seg.z }, materialOpts)
+    : new THREE.MeshStandardMaterial({ vertexColors: true, ...materialOpts });
 
   terrainMesh = new THREE.Mesh(terrainGeometry, terrainMaterial);
   // ✅ Shadows
   terrainMesh.castShadow = false;
   terrainMesh.receiveShadow = true;
+  // the vertex stage moves the flat grid; its CPU bounds would cull it
+  terrainMesh.frustumCulled = !gpu;
 
   scene.add(terrainMesh);
 
 
-  // Base coloring
-  if (CONFIG.TERRAIN.useWidthTint) applyHeightAndWidthColors(terrainGeometry);
-  else applyElevationColors(terrainGeometry);
-
-  // Diagnostic overlay for data influence
-  applyDataInfluenceOverlay(terrainGeometry, 0.35);
+  clearUncertaintyGhosts(); // the old shells share the disposed grid
+  if (gpu) {
+    // Flat grid: Y carries only the pulse/audio offsets, colours multiply the shader's
+    const n = terrainGeometry.attributes.position.count;
+    terrainGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(n * 3).fill(1), 3));
+    BASE_COLORS = Float32Array.from(terrainGeometry.getAttribute('color').array);
+    detachTerrainWorker();
+    updateGpuTerrain();
+  } else {
+    // Base coloring + diagnostic overlay for data influence
+    paintTerrain(terrainGeometry);
+    applyUncertainty(terrainGeometry);
+    resetTerrainWorker(terrainGeometry);
+    if (erosionParams()) requestTerrain();
+  }
 
   rebuildCitiesAndRibbons();
+  refreshWhispers(true);
   frameCameraToTerrain();
 }
 
-function makeSeededNoise(seed) {
-  // Simple LCG → offsets the sampling to get a new but stable field
-  let s = seed >>> 0;
-  function rnd() { s = (1664525 * s + 1013904223) >>> 0; return s / 0xffffffff; }
-  const dx = rnd() * 1000, dz = rnd() * 1000;
-  const perlin = new ImprovedNoise();
+function terrainSegments() {
+  return CONFIG.TERRAIN.gpu
+    ? { x: CONFIG.TERRAIN.gpuSegmentsX, z: CONFIG.TERRAIN.gpuSegmentsZ }
+    : { x: CONFIG.TERRAIN.segmentsX, z: CONFIG.TERRAIN.segmentsZ };
+}
+
+function regionalT(x, z) {
+  return regionalTAt(x, z, CONFIG.UI.regional.enabled ? REGION_POINTS : null);
+}
+
+// The class height modifier is linear in the class scores, which are linear in the blend
+// weights: the global mix (hG) is computed once and the regional pull along the A→B edge is
+// a lerp toward hA + tReg·hD per vertex
+function dataHeightTerms(coeffs) {
+  if (!coeffs) return { hG: 0, hA: 0, hD: 0 };
+  const hA = dataHeightFromScores(coeffs[0]);
   return {
-    noise(x, y, z) { return perlin.noise(x + dx, y, z + dz); }
+    hG: coeffs.reduce((h, c, i) => h + (BLEND.weights[i] || 0) * dataHeightFromScores(c), 0),
+    hA,
+    hD: dataHeightFromScores(coeffs[1]) - hA,
   };
 }
 
-function regionalT(x, z) {
-  if (!CONFIG.UI.regional.enabled || REGION_POINTS.length === 0) return null;
-  let num = 0, den = 0;
-  for (const p of REGION_POINTS) {
-    const dx = x - p.x, dz = z - p.z;
-    const d2 = dx*dx + dz*dz;
-    const w = 1.0 / Math.max(1e-3, d2); // inverse distance^2
-    num += w * p.t;
-    den += w;
+// Everything the heightfield.js kernels need, as plain data (it is posted to the worker).
+// opts overrides the terrain shape (noiseScale, heightScale, ridgeBias, fit) and `heights`;
+// `erosion: false` leaves the erosion pass out.
+function terrainParams(opts = {}) {
+  const heatOn = !!document.getElementById('transitionHeat')?.checked;
+  const influence = CONFIG.TERRAIN.dataInfluence ?? 0.5;
+  let overlay = null;
+  if (heatOn && CLASS_COEFFS) {
+    overlay = {
+      kind: 'heat',
+      H: CLASS_COEFFS.map(c => dataHeightFromScores(c)),
+      weights: [...BLEND.weights],
+      lo: new THREE.Color(0x3a7bd5).toArray(), // blue
+      hi: new THREE.Color(0xff00ff).toArray(), // magenta
+    };
+  } else if (!heatOn) {
+    // data influence diagnostic: blue (erodes) → red (lifts)
+    const t = THREE.MathUtils.clamp(dataHeightMod() * 2 + 0.5, 0, 1);
+    const rgb = new THREE.Color(0x4ea3ff).lerp(new THREE.Color(0xff5e5e), t).toArray();
+    overlay = { kind: 'influence', rgb, amount: 0.35 * influence };
   }
-  return den > 0 ? (num / den) : null;
+  return {
+    heights: opts.heights ?? true,
+    seed: NOISE_SEED,
+    noiseScale:  opts.noiseScale  ?? CONFIG.TERRAIN.noiseScale,
+    heightScale: opts.heightScale ?? CONFIG.TERRAIN.heightScale,
+    ridgeBias:   opts.ridgeBias   ?? CONFIG.TERRAIN.ridgeBias,
+    fit:         opts.fit         ?? TERRAIN_FIT,
+    influence,
+    terms: dataHeightTerms(CLASS_COEFFS),
+    // If coeffs weren’t ready (unlikely), fall back to the legacy unigram mod
+    fallback: CLASS_COEFFS ? 0 : dataHeightMod(),
+    regional: CONFIG.UI?.regional?.enabled
+      ? { alpha: CONFIG.UI.regional.alpha ?? 0.6, points: REGION_POINTS.map(({ x, z, t }) => ({ x, z, t })) }
+      : null,
+    colors: {
+      stops: getColorStopsForDrift(BLEND.weights).map(st => ({ t: st.t, rgb: st.color.toArray() })),
+      widthTint: !!CONFIG.TERRAIN.useWidthTint,
+    },
+    overlay,
+    // the shader draws the uneroded field: erosion needs the whole grid, not one vertex
+    erosion: CONFIG.TERRAIN.gpu || opts.erosion === false ? null : erosionParams(),
+  };
 }
 
-function displaceTerrain(geometry, opts) {
-  if (!geometry) return;
+// Sibilants carve and stops break: each class's drive is its blended share of the unigram
+// mass over EROSION_SHARE (1 = as common as in a typical inventory) times its slider.
+// Sibilants set the rain (droplet count and water per droplet), stops the talus angle slopes
+// can hold and how long they slump toward it. Seeded from NOISE_SEED, so a given seed and
+// set of sliders always erodes the same way.
+const EROSION_SHARE = { sibilants: 0.1, stops: 0.3 };
+
+function erosionParams() {
+  if (!CONFIG.TERRAIN.erosion || !CLASS_COEFFS) return null;
+  const drive = (name) => {
+    const share = CLASS_COEFFS.reduce((a, c, i) => a + (BLEND.weights[i] || 0) * (c[name] || 0), 0);
+    return (share / EROSION_SHARE[name]) * Math.max(0, CONFIG.UI.weights[name] ?? 1);
+  };
+  const sib = THREE.MathUtils.clamp(drive('sibilants'), 0, 2);
+  const stop = THREE.MathUtils.clamp(drive('stops') / 1.5, 0, 1);
+  const { x: segX, z: segZ } = terrainSegments();
+  const grid = { cols: segX + 1, rows: segZ + 1, cellX: CONFIG.TERRAIN.width / segX, cellZ: CONFIG.TERRAIN.depth / segZ };
+  return {
+    grid,
+    seed: (NOISE_SEED ^ 0x27d4eb2d) >>> 0,
+    droplets: Math.round(grid.cols * grid.rows * 0.5 * sib),
+    rain: 0.5 + 0.5 * sib,
+    talus: THREE.MathUtils.lerp(25, 55, stop),
+    thermalIterations: Math.round(20 * stop),
+  };
+}
 
-  // ---- options / config ----
-  const p = opts || {};
-  const noiseScale  = (p.noiseScale  !== undefined) ? p.noiseScale  : CONFIG.TERRAIN.noiseScale;
-  const heightScale = (p.heightScale !== undefined) ? p.heightScale : CONFIG.TERRAIN.heightScale;
-  const ridgeBias   = (p.ridgeBias   !== undefined) ? p.ridgeBias   : CONFIG.TERRAIN.ridgeBias;
-  const influence   = (CONFIG.TERRAIN.dataInfluence ?? 0.5);
+// -------------------------
+// Terrain worker (heights, normals and colours off the main thread)
+// -------------------------
+// One job in flight at most. Requests made meanwhile collapse into a single follow-up that
+// reads the state when it is sent, so a dragged slider never queues stale frames. Buffers
+// ping-pong: `spare` goes out with each job and the displayed arrays become the next spare
+// once a result is swapped in. Without Worker support the same kernels run inline.
+const TERRAIN_JOBS = { worker: null, grid: 0, nextId: 0, busy: false, pending: null, spare: null, inflight: null };
+
+// Spare buffers sized for the current mesh, seeded with its positions (recolor jobs keep them)
+function terrainBuffers(geometry) {
+  const n = geometry.attributes.position.count * 3;
+  return { positions: geometry.attributes.position.array.slice(), normals: new Float32Array(n), colors: new Float32Array(n) };
+}
 
-  // ---- attributes / helpers ----
-  const position = geometry.attributes.position;
-  const perlin   = makeSeededNoise(NOISE_SEED);       // seeded for reproducibility
-  const ridgeExp = THREE.MathUtils.lerp(1.0, 0.65, ridgeBias);
-
-  // cache for local mixing
-  const tGlobal  = (window.__timeDriftValue || 0);
-  const useRegional   = !!(CONFIG.UI?.regional?.enabled);
-  const alphaRegional = (CONFIG.UI?.regional?.alpha ?? 0.6);
-
-  // precomputed class coefficients (A/B/D) & weights (fast path)
-  const C = CLASS_COEFFS || { A:{v:0,s:0,n:0,tp:0}, D:{v:0,s:0,n:0,tp:0} };
-  const A = C.A, D = C.D;
-  const W = CONFIG.UI?.weights || { vowels:1, sibilants:1, nasals:1, stops:1 };
-
-  // ---- main vertex loop ----
-  for (let i = 0; i < position.count; i++) {
-    const x = position.getX(i);
-    const z = position.getZ(i);
-
-    // --- base fractal noise field (3 octaves) ---
-    const nx = x * noiseScale;
-    const nz = z * noiseScale;
-    const n1 = perlin.noise(nx,          0, nz);
-    const n2 = perlin.noise(nx * 2.03,   0, nz * 2.03) * 0.5;
-    const n3 = perlin.noise(nx * 4.07,   0, nz * 4.07) * 0.25;
-    let n = (n1 + n2 + n3) / (1 + 0.5 + 0.25);
-    n = Math.sign(n) * Math.pow(Math.abs(n), ridgeExp);     // “ridged” shaping
-    const baseH = n * heightScale;
-
-    // --- local time-drift mix (global + regional) ---
-    const tRegional = useRegional ? regionalT(x, z) : null;
-    const tLocal = (tRegional == null)
-      ? tGlobal
-      : THREE.MathUtils.lerp(tGlobal, tRegional, alphaRegional);
-
-    // --- fast class scores at tLocal: A + t*(B−A) ---
-    const vCls  = A.v  + tLocal * D.v;
-    const sCls  = A.s  + tLocal * D.s;
-    const nCls  = A.n  + tLocal * D.n;
-    const tpCls = A.tp + tLocal * D.tp;
-
-    // --- map classes to height modifier (exaggerated slider effect) ---
-    const Wv = (W.vowels    ?? 1);
-    const Ws = (W.sibilants ?? 1);
-    const Wn = (W.nasals    ?? 1);
-    const Wt = (W.stops     ?? 1);
-
-    // neutral contribution when all sliders = 1.0
-    const baseMod =
-        (vCls * 0.6) +
-        (nCls * 0.3) -
-        (sCls * 0.5) -
-        (tpCls * 0.25);
-
-    // extra punch when sliders move away from 1.0
-    const boostMod =
-        (vCls * 2.0 * (Wv - 1)) +   // vowels: strong lift
-        (nCls * 1.4 * (Wn - 1)) -   // nasals: lift
-        (sCls * 1.8 * (Ws - 1)) -   // sibilants: erosion
-        (tpCls * 1.2 * (Wt - 1));   // stops: erosion
-
-    const dataMod = baseMod + boostMod;
-
-    // If coeffs weren’t ready (unlikely), fall back to legacy per-vertex mod
-    const fallback = (!CLASS_COEFFS) ? (dataHeightMod(x, z)) : 0;
-
-    // 💥 much stronger overall data influence
-    const dataH = (dataMod + fallback) * heightScale * (influence * 4.0);
-    position.setY(i, baseH + dataH);
+function resetTerrainWorker(geometry) {
+  const J = TERRAIN_JOBS;
+  J.grid++;
+  J.pending = null;
+  J.spare = terrainBuffers(geometry);
+  if (!J.worker && typeof Worker !== 'undefined') {
+    try {
+      J.worker = new Worker(new URL('./terrain.worker.js', import.meta.url), { type: 'module' });
+      J.worker.onmessage = ({ data }) => onTerrainResult(data);
+      J.worker.onerror = (e) => {
+        console.warn('[TERRAIN] worker failed; computing on the main thread.', e);
+        J.worker = null;
+        J.busy = false;
+        // the job in flight took the spare buffers with it: rebuild them and redo its work here
+        const lost = J.inflight;
+        J.inflight = null;
+        if (lost && lost.grid === J.grid && !J.spare && terrainGeometry) J.spare = terrainBuffers(terrainGeometry);
+        const replay = J.pending ?? (lost && lost.grid === J.grid ? { heights: lost.heights } : null);
+        J.pending = null;
+        if (replay) requestTerrain(replay);
+      };
+    } catch (e) {
+      console.warn('[TERRAIN] no module workers; computing on the main thread.', e);
+    }
+  }
+  J.worker?.postMessage({ type: 'grid', grid: J.grid, index: geometry.index.array.slice() });
+}
+
+// GPU mode: results still in flight are for a mesh that no longer takes them
+function detachTerrainWorker() {
+  const J = TERRAIN_JOBS;
+  J.grid++;
+  J.pending = null;
+  J.spare = null;
+}
+
+function requestTerrain(opts = {}) {
+  const J = TERRAIN_JOBS;
+  if (!terrainGeometry || !J.spare) return;
+  // a recolor never downgrades a queued height job
+  const heights = (opts.heights ?? true) || (J.pending?.heights ?? false);
+  if (J.busy) { J.pending = { heights }; return; }
+
+  const params = terrainParams({ heights });
+  const buffers = J.spare;
+  J.spare = null;
+  if (!heights) buffers.positions.set(terrainGeometry.attributes.position.array);
+
+  const job = { type: 'job', id: ++J.nextId, grid: J.grid, params, ...buffers };
+  if (!J.worker) {
+    const { positions, normals, colors } = buffers;
+    const box = computeTerrain(buffers, terrainGeometry.index.array, params);
+    onTerrainResult({ id: job.id, grid: job.grid, heights, positions, normals, colors, box });
+    return;
+  }
+  J.busy = true;
+  J.inflight = { grid: job.grid, heights };
+  J.worker.postMessage(job, [buffers.positions.buffer, buffers.normals.buffer, buffers.colors.buffer]);
+}
+
+function onTerrainResult({ grid, heights, positions, normals, colors, box }) {
+  const J = TERRAIN_JOBS;
+  J.busy = false;
+  J.inflight = null;
+  if (grid !== J.grid || !box) {
+    // the mesh was rebuilt while this job ran; its buffers don't fit any more
+    if (grid === J.grid) J.spare = { positions, normals, colors }; // same mesh, nothing computed
+    if (J.pending) { J.pending = null; requestTerrain(); }
+    return;
+  }
+  J.spare = applyTerrainResult({ heights, positions, normals, colors, box });
+  if (J.pending) {
+    const next = J.pending;
+    J.pending = null;
+    requestTerrain(next);
   }
+}
+
+// Swap the worker's buffers into the geometry; returns the ones swapped out (the next spare)
+function applyTerrainResult({ heights, positions, normals, colors, box }) {
+  const g = terrainGeometry;
+  const swap = (name, array) => {
+    const attr = g.getAttribute(name);
+    const old = attr.array;
+    attr.array = array;
+    attr.needsUpdate = true;
+    return old;
+  };
+  const spare = { positions, normals: null, colors: swap('color', colors) };
+  if (heights) {
+    spare.positions = swap('position', positions);
+    spare.normals = swap('normal', normals);
+    g.boundingBox = new THREE.Box3(new THREE.Vector3(...box.min), new THREE.Vector3(...box.max));
+    g.computeBoundingSphere();
+  }
+  spare.normals ??= normals;
+
+  const pos = g.attributes.position;
+  console.log('[REDISP]', 'y0=', pos.getY(0).toFixed(3), 'yN=', pos.getY(pos.count - 1).toFixed(3),
+              't=', (window.__timeDriftValue||0).toFixed(2),
+              'W=', JSON.stringify(CONFIG.UI?.weights),
+              'inf=', CONFIG.TERRAIN.dataInfluence);
+
+  // overlays that stay on the main thread
+  applyUncertainty(g);
+
+  // snapshot base vertex colors for audio colour modulation
+  BASE_COLORS = Float32Array.from(g.getAttribute('color').array);
+
+  if (heights) {
+    // 🔴 CRUCIAL: refresh the audio / pulse baselines EVERY time the geometry changes
+    //    (otherwise updateAudioTerrainModulation writes old heights back)
+    AUDIO.restY = new Float32Array(pos.count);
+    for (let i = 0; i < pos.count; i++) AUDIO.restY[i] = pos.getY(i);
+    if (PULSE.active) PULSE.restY = AUDIO.restY.slice();
+
+    // whispers follow the drift (only cities whose local t moved get new words)
+    refreshWhispers();
+  }
+  return spare;
+}
+
+// -------------------------
+// GPU terrain (terrainShader.js)
+// -------------------------
+// The shader evaluates the field; the CPU keeps terrainSampler for the same params (city
+// placement, whispers, sampleTerrainHeight, uncertainty shells) and a coarse estimate of the
+// height and heat ranges the ramp is normalized by.
+function updateGpuTerrain({ heights = true } = {}) {
+  const g = terrainGeometry;
+  if (!g || !terrainMesh?.material.userData.terrainUniforms) return;
+  const params = terrainParams({ heights });
+  const ranges = estimateRanges(params, CONFIG.TERRAIN.width, CONFIG.TERRAIN.depth, 64);
+  updateTerrainUniforms(terrainMesh.material, params, {
+    ranges,
+    classes: { scores: CLASS_COEFFS, blend: BLEND.weights, weights: CONFIG.UI.weights, height: CLASS_HEIGHT },
+  });
+  TERRAIN_HEIGHT_AT = terrainSampler(params);
+
+  const w = CONFIG.TERRAIN.width / 2, d = CONFIG.TERRAIN.depth / 2;
+  g.boundingBox = new THREE.Box3(new THREE.Vector3(-w, ranges.height[0], -d), new THREE.Vector3(w, ranges.height[1], d));
+  g.boundingSphere = g.boundingBox.getBoundingSphere(new THREE.Sphere());
+
+  applyUncertainty(g);
+  if (heights) refreshWhispers();
+}
+
+// Synchronous height pass (regenerate, and anything that needs the field right away)
+function displaceTerrain(geometry, opts) {
+  if (!geometry) return;
+  const position = geometry.attributes.position;
+  displaceHeights(position.array, terrainParams(opts));
   // ---- finalize ----
   position.needsUpdate = true;
   geometry.computeVertexNormals();
   geometry.computeBoundingBox();
 }
 
+// Synchronous colour pass: elevation ramp plus the data influence / transition heat overlay
+function paintTerrain(geometry, params = terrainParams({ heights: false })) {
+  const pos = geometry.attributes.position;
+  let colorAttr = geometry.getAttribute('color');
+  if (!colorAttr || colorAttr.count !== pos.count) {
+    colorAttr = new THREE.BufferAttribute(new Float32Array(pos.count * 3), 3);
+    geometry.setAttribute('color', colorAttr);
+  }
+  colorTerrain(pos.array, colorAttr.array, params);
+  colorAttr.needsUpdate = true;
+}
+
+// Scales the mesh so its peak sits at heightScale; returns the factor (1 when flat)
 function recomputeRidgeSizing(geometry) {
   geometry.computeBoundingBox();
   const bbox = geometry.boundingBox;
   const targetMaxY = CONFIG.TERRAIN.heightScale;
   const currentMaxY = bbox.max.y;
-  if (currentMaxY === 0) return;
+  if (currentMaxY === 0) return 1;
   const s = targetMaxY / currentMaxY;
 
   const pos = geometry.attributes.position;
@@ -934,6 +1302,7 @@ function recomputeRidgeSizing(geometry) {
   pos.needsUpdate = true;
   geometry.computeBoundingBox();
   geometry.computeVertexNormals();
+  return s;
 }
 
 // -------------------------
@@ -984,14 +1353,23 @@ function getBasePalette(name) {
   }
 }
 
-function getColorStopsForDrift(t) {
-  // Blend current palette with autumn as drift target
-  const A = getBasePalette(CONFIG.UI.palette);
-  const B = getBasePalette('autumn');
-  const stops = A.map((s, i) => ({
-    t: s.t,
-    color: s.color.clone().lerp(B[i].color, t)
-  }));
+// One palette per blend vertex: A = the chosen palette, B = autumn (the old drift target),
+// further languages take the remaining palettes in turn
+function blendPalettes(n) {
+  const names = [CONFIG.UI.palette || 'spring', 'autumn'];
+  for (const name of ['monsoon', 'snow', 'spring', 'autumn']) if (!names.includes(name)) names.push(name);
+  return Array.from({ length: n }, (_, i) => getBasePalette(names[i % names.length]));
+}
+
+// drift: a weight vector over the blend vertices, or a scalar t along A→B
+function getColorStopsForDrift(drift) {
+  const weights = Array.isArray(drift) ? drift : blendWeightsForT(drift, 2);
+  const palettes = blendPalettes(weights.length);
+  const stops = palettes[0].map((s, i) => {
+    const color = new THREE.Color(0, 0, 0);
+    palettes.forEach((pal, j) => { if (weights[j]) color.add(pal[i].color.clone().multiplyScalar(weights[j])); });
+    return { t: s.t, color };
+  });
 
   // Optional vowel-warm shift
   const v = DATA ? (((DATA.freq.get('a')||0)+(DATA.freq.get('i')||0)+(DATA.freq.get('u')||0))/3) : 0;
@@ -1003,302 +1381,26 @@ function getColorStopsForDrift(t) {
   return stops;
 }
 
-function applyElevationColors(geometry, options) {
-  const opts = options || {};
-  geometry.computeBoundingBox();
-  const bbox = geometry.boundingBox;
-  const minY = (opts.minY !== undefined ? opts.minY : bbox.min.y);
-  const maxY = (opts.maxY !== undefined ? opts.maxY : bbox.max.y);
-  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-
-  const stops = opts.stops || getColorStopsForDrift(window.__timeDriftValue || 0);
-
-  function sampleRamp(tNorm) {
-    for (let i = 0; i < stops.length - 1; i++) {
-      const a = stops[i], b = stops[i + 1];
-      if (tNorm >= a.t && tNorm <= b.t) {
-        const localT = (tNorm - a.t) / (b.t - a.t);
-        return a.color.clone().lerp(b.color, localT);
-      }
-    }
-    return (tNorm < stops[0].t) ? stops[0].color.clone() : stops[stops.length - 1].color.clone();
-  }
-
-  const pos = geometry.attributes.position.array;
-  const vertCount = pos.length / 3;
-  let colorAttr = geometry.getAttribute('color');
-  if (!colorAttr || colorAttr.count !== vertCount) {
-    colorAttr = new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3);
-    geometry.setAttribute('color', colorAttr);
-  }
-  const colors = colorAttr.array;
-
-  const denom = (maxY - minY) || 1.0;
-  for (let i = 0; i < vertCount; i++) {
-    const y = pos[i * 3 + 1];
-    const t = clamp((y - minY) / denom, 0, 1);
-    const c = sampleRamp(t);
-    colors[i * 3 + 0] = c.r;
-    colors[i * 3 + 1] = c.g;
-    colors[i * 3 + 2] = c.b;
-  }
-  colorAttr.needsUpdate = true;
-}
-
-function applyHeightAndWidthColors(geometry) {
-  geometry.computeBoundingBox();
-  const bbox = geometry.boundingBox;
-  const minY = bbox.min.y;
-  const maxY = bbox.max.y;
-  const cx = (bbox.min.x + bbox.max.x) * 0.5;
-  const cz = (bbox.min.z + bbox.max.z) * 0.5;
-  const maxR = Math.hypot(bbox.max.x - cx, bbox.max.z - cz) || 1;
-
-  const stops = getColorStopsForDrift(window.__timeDriftValue || 0);
-
-  function sampleRamp(tNorm) {
-    for (let i = 0; i < stops.length - 1; i++) {
-      const a = stops[i], b = stops[i + 1];
-      if (tNorm >= a.t && tNorm <= b.t) {
-        const local = (tNorm - a.t) / (b.t - a.t);
-        return a.color.clone().lerp(b.color, local);
-      }
-    }
-    return (tNorm < stops[0].t) ? stops[0].color.clone() : stops[stops.length - 1].color.clone();
-  }
-
-  const pos = geometry.attributes.position.array;
-  const vertCount = pos.length / 3;
-  let colorAttr = geometry.getAttribute('color');
-  if (!colorAttr || colorAttr.count !== vertCount) {
-    colorAttr = new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3);
-    geometry.setAttribute('color', colorAttr);
-  }
-  const colors = colorAttr.array;
-
-  for (let i = 0; i < vertCount; i++) {
-    const x = pos[i * 3 + 0];
-    const y = pos[i * 3 + 1];
-    const z = pos[i * 3 + 2];
-
-    const tH = (y - minY) / ((maxY - minY) || 1);
-    const r = Math.hypot(x - cx, z - cz) / maxR; // 0 center -> 1 edges
-
-    const base = sampleRamp(THREE.MathUtils.clamp(tH, 0, 1));
-    const tint = new THREE.Color().setHSL(0.58 + 0.1 * r, 0.45, 0.5);
-    const final = base.clone().lerp(tint, 0.22);
-
-    colors[i * 3 + 0] = final.r;
-    colors[i * 3 + 1] = final.g;
-    colors[i * 3 + 2] = final.b;
-  }
-  colorAttr.needsUpdate = true;
-}
-
-// -------------------------
-// Data Influence diagnostic overlay
-// -------------------------
-function applyDataInfluenceOverlay(geometry, strength = 0.35) {
-  const pos = geometry.attributes.position.array;
-  const vertCount = pos.length / 3;
-
-  // Ensure base colors are present
-  if (CONFIG.TERRAIN.useWidthTint) applyHeightAndWidthColors(geometry);
-  else applyElevationColors(geometry);
-
-  let colorAttr = geometry.getAttribute('color');
-  if (!colorAttr || colorAttr.count !== vertCount) {
-    colorAttr = new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3);
-    geometry.setAttribute('color', colorAttr);
-  }
-  const colors = colorAttr.array;
-
-  for (let i = 0; i < vertCount; i++) {
-    const x = pos[i * 3 + 0];
-    const z = pos[i * 3 + 2];
-
-    const delta = dataHeightMod(x, z); // [-?, +?]
-    const t = THREE.MathUtils.clamp((delta * 2 + 0.5), 0, 1); // map to [0,1]
-    const up = new THREE.Color(0xff5e5e);
-    const down = new THREE.Color(0x4ea3ff);
-    const overlay = down.clone().lerp(up, t);
-
-    const r = colors[i*3+0], g = colors[i*3+1], b = colors[i*3+2];
-    const base = new THREE.Color(r, g, b);
-    base.lerp(overlay, strength * (CONFIG.TERRAIN.dataInfluence ?? 0.5));
-
-    colors[i*3+0] = base.r;
-    colors[i*3+1] = base.g;
-    colors[i*3+2] = base.b;
-  }
-  colorAttr.needsUpdate = true;
-}
-
-function applyTransitionHeatmap(geometry, intensity = 0.9, gamma = 0.5, threshold = 0.03) {
-  if (!DATA_A || !DATA_B) return;
-
-  // Ensure base colors exist first (we overlay on top)
-  (CONFIG.TERRAIN.useWidthTint ? applyHeightAndWidthColors : applyElevationColors)(geometry);
-
-  const pos = geometry.attributes.position.array;
-  const vertCount = pos.length / 3;
-
-  let colorAttr = geometry.getAttribute('color');
-  if (!colorAttr || colorAttr.count !== vertCount) {
-    colorAttr = new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3);
-    geometry.setAttribute('color', colorAttr);
-  }
-  const colors = colorAttr.array;
-
-  // --- compute per-vertex local sensitivity to Time Drift (derivative) ---
-  const eps = 0.05; // small step in t to estimate gradient
-  const tGlobal = (window.__timeDriftValue || 0);
-
-  // If regional mode is on, we'll use local t based on anchors (for spatial variation).
-  const useRegional = CONFIG.UI?.regional?.enabled;
-  const alpha = (CONFIG.UI?.regional?.alpha ?? 0.6);
-
-  const sensitivities = new Float32Array(vertCount);
-  let minS = Infinity, maxS = -Infinity;
-
-  for (let i = 0; i < vertCount; i++) {
-    const x = pos[i*3+0];
-    const z = pos[i*3+2];
-
-    const tReg = useRegional ? regionalT(x, z) : null;
-    const t0 = (tReg == null) ? tGlobal : THREE.MathUtils.lerp(tGlobal, tReg, alpha);
-
-    const tA = THREE.MathUtils.clamp(t0 - eps, 0, 1);
-    const tB = THREE.MathUtils.clamp(t0 + eps, 0, 1);
-
-    const sA = classScoresForT(tA);
-    const sB = classScoresForT(tB);
-
-    // Use the same mapping you use for height, so heat correlates with actual geometric change
-    const hA = dataHeightFromScores(sA);
-    const hB = dataHeightFromScores(sB);
-
-    const sens = Math.abs(hB - hA); // local derivative magnitude
-    sensitivities[i] = sens;
-    if (sens < minS) minS = sens;
-    if (sens > maxS) maxS = sens;
-  }
-
-  // --- normalize to 0..1 across the mesh and apply gamma + threshold ---
-  const range = Math.max(1e-6, maxS - minS);
-  for (let i = 0; i < vertCount; i++) {
-    let t = (sensitivities[i] - minS) / range; // 0..1
-    if (t < threshold) t = 0;                 // remove low noise
-    t = Math.pow(t, gamma);                    // gamma boost
-    sensitivities[i] = t;
-  }
-
-  // --- colorize: use a high-contrast diverging ramp (blue → magenta) ---
-  const cLo = new THREE.Color(0x3a7bd5); // blue
-  const cHi = new THREE.Color(0xff00ff); // magenta
-
-  for (let i = 0; i < vertCount; i++) {
-    const t = sensitivities[i];          // 0..1
-    if (t <= 0) continue;
-
-    const overlay = cLo.clone().lerp(cHi, t);
-
-    const r = colors[i*3+0], g = colors[i*3+1], b = colors[i*3+2];
-    const base = new THREE.Color(r, g, b);
-
-    // Screen-like blend for more pop: result = 1 - (1-base)*(1-overlay*t*intensity)
-    const o = overlay.clone().multiplyScalar(t * intensity);
-    base.r = 1 - (1 - base.r) * (1 - o.r);
-    base.g = 1 - (1 - base.g) * (1 - o.g);
-    base.b = 1 - (1 - base.b) * (1 - o.b);
-
-    colors[i*3+0] = base.r;
-    colors[i*3+1] = base.g;
-    colors[i*3+2] = base.b;
-  }
-  colorAttr.needsUpdate = true;
-}
-
-
-
 // -------------------------
 // Data layer
 // -------------------------
-async function loadPhonemeData(url) {
-  const txt = await fetch(url).then(r => r.text());
-  const lines = txt.trim().split(/\r?\n/);
-  if (lines.length === 0) return { freq: new Map(), trans: new Map() };
-
-  const header = lines.shift().split(',').map(s => s.trim());
-  const idx = Object.fromEntries(header.map((h, i) => [h, i]));
+// Weighted unigram mix of the blend profiles (transitions come from the heaviest one)
+function blendData(profiles, weights) {
+  if (!profiles.length) return null;
   const freq = new Map();
-  const trans = new Map();
-
-  for (let li = 0; li < lines.length; li++) {
-    const cols = lines[li].split(',');
-    const p = cols[idx.phoneme] || '';
-    const c = Number(cols[idx.count] || '0');
-    const from = (idx.from !== undefined) ? (cols[idx.from] || '') : '';
-    const to = (idx.to !== undefined) ? (cols[idx.to] || '') : '';
-    const pr = Number((idx.prob !== undefined) ? (cols[idx.prob] || '0') : '0');
-
-    if (p) freq.set(p, (freq.get(p) || 0) + (Number.isFinite(c) ? c : 0));
-    if (from && to) trans.set(`${from}->${to}`, Number.isFinite(pr) ? pr : 0);
-  }
-
-  // normalize frequencies to [0,1]
-  const max = Math.max(1, ...freq.values());
-  for (const k of freq.keys()) freq.set(k, freq.get(k) / max);
-  return { freq, trans };
-}
-
-async function bootData() {
-  try {
-    [DATA_A, DATA_B] = await Promise.all([
-      loadPhonemeData('/data/limboo.csv'),
-      loadPhonemeData('/data/bhutia.csv'),
-    ]);
-    DATA = DATA_A;
-  
-    computeClassCoeffs();
-
-    // Sanity logs – remove later if you want
-    console.log('DATA_A vowels:', DATA_A?.freq.get('a'), 'sibilants:', DATA_A?.freq.get('s'));
-    console.log('DATA_B vowels:', DATA_B?.freq.get('a'), 'sibilants:', DATA_B?.freq.get('s'));
-  } catch (e) {
-    console.warn('Data load failed; proceeding without dataset influence.', e);
-    DATA_A = null; DATA_B = null; DATA = null;
-  }
+  let top = 0;
+  profiles.forEach((D, i) => {
+    const w = weights[i] || 0;
+    if (w > (weights[top] || 0)) top = i;
+    if (!w) return;
+    for (const [k, v] of D.freq) freq.set(k, (freq.get(k) || 0) + w * v);
+  });
+  return { freq, trans: profiles[top].trans };
 }
 
-function lerpData(A, B, t) {
-  if (!A || !B) return A || B || null;
-  const freq = new Map();
-  const keys = new Set([...A.freq.keys(), ...B.freq.keys()]);
-  for (const k of keys) {
-    const av = A.freq.get(k) || 0;
-    const bv = B.freq.get(k) || 0;
-    freq.set(k, av * (1 - t) + bv * t);
-  }
-  return { freq, trans: B.trans };
-}
-
-function dataHeightMod(_x, _z) {
-  if (!DATA) return 0;
-  const W = CONFIG.UI.weights;
-
-  const v = avg([DATA.freq.get('a'), DATA.freq.get('e'), DATA.freq.get('i'), DATA.freq.get('o'), DATA.freq.get('u')]);
-  const s = avg([DATA.freq.get('s'), DATA.freq.get('sh'), DATA.freq.get('z')]);
-  const n = avg([DATA.freq.get('m'), DATA.freq.get('n'), DATA.freq.get('ng')]);
-  const t = avg([DATA.freq.get('p'), DATA.freq.get('b'), DATA.freq.get('t'), DATA.freq.get('d'), DATA.freq.get('k'), DATA.freq.get('g')]);
-
-  // Positive lifts: vowels, nasals; Erosion: sibilants, stops (tweak freely)
-  return (v * 0.6 * W.vowels) + (n * 0.3 * W.nasals) - (s * 0.5 * W.sibilants) - (t * 0.25 * W.stops);
-}
-function avg(arr) {
-  let sum = 0, c = 0;
-  for (const v of arr) { if (typeof v === 'number' && !Number.isNaN(v)) { sum += v; c++; } }
-  return c ? sum / c : 0;
+// Blend-weighted data height (scores are linear in the mix, so this is the blend's own)
+function dataHeightMod() {
+  return dataHeightTerms(CLASS_COEFFS).hG;
 }
 
 // -------------------------
@@ -1357,14 +1459,16 @@ function buildRibbon(a, b) {
 // -------------------------
 // Terrain sampling & geo utils
 // -------------------------
+// Grid Y bilinearly interpolated; in GPU mode that is only the offset above the shader's
+// field, which comes from its CPU twin
 function sampleTerrainHeight(x, z) {
   const g = terrainGeometry;
   if (!g) return 0;
   const w = CONFIG.TERRAIN.width;
   const d = CONFIG.TERRAIN.depth;
-  const segX = CONFIG.TERRAIN.segmentsX;
-  const segZ = CONFIG.TERRAIN.segmentsZ;
+  const { x: segX, z: segZ } = terrainSegments();
   const pos = g.attributes.position;
+  const field = TERRAIN_HEIGHT_AT ? TERRAIN_HEIGHT_AT(x, z) : 0;
 
   const fx = ((x + w / 2) / w) * segX;
   const fz = ((z + d / 2) / d) * segZ;
@@ -1389,7 +1493,7 @@ function sampleTerrainHeight(x, z) {
   const tz = fz - z0;
   const v0 = THREE.MathUtils.lerp(v00, v10, tx);
   const v1 = THREE.MathUtils.lerp(v01, v11, tx);
-  return THREE.MathUtils.lerp(v0, v1, tz);
+  return field + THREE.MathUtils.lerp(v0, v1, tz);
 }
 
 function lonLatToXZ(lon, lat) {
@@ -1415,6 +1519,444 @@ function frameCameraToTerrain() {
   controls.update();
 }
 
+// -------------------------
+// Bootstrap uncertainty (how much of the data-driven relief is small-sample noise)
+// -------------------------
+// Each resample redraws every profile's phoneme counts (resampleProfile), recomputes the class
+// coefficients and so the data height at every vertex. 'ghost' shows the min/max envelope as
+// translucent shells around the terrain; 'color' tints vertices by the spread relative to
+// the data relief there (grey = solid signal, magenta = the spread swamps it). Profiles
+// without raw counts (JSON frequencies only) are held fixed.
+const UNCERTAINTY = { mode: 'off', resamples: 32, key: '', coeffs: null, ghosts: null, shellGrid: null };
+const UNCERTAIN_COLOR = new THREE.Color(0xe040fb);
+
+function bootstrapCoeffs() {
+  const key = `${BLEND.ids.join(',')}|${UNCERTAINTY.resamples}|${NOISE_SEED}`;
+  if (UNCERTAINTY.key === key) return UNCERTAINTY.coeffs;
+  const rng = mulberry32((NOISE_SEED ^ 0x5bd1e995) >>> 0);
+  UNCERTAINTY.coeffs = Array.from({ length: UNCERTAINTY.resamples }, () =>
+    BLEND_PROFILES.map(D => classScores(resampleProfile(D, rng))));
+  UNCERTAINTY.key = key;
+  return UNCERTAINTY.coeffs;
+}
+
+// The data height depends on position only through the regional t, so the point estimate and
+// the resample envelope are functions of t alone: sample them at UNCERTAIN_STEPS values of t
+// (plus `flat`, where no regional anchor pulls) and look vertices up instead of re-running
+// every resample per vertex. Same units as Y.
+function dataHeightBandTable(steps = UNCERTAIN_STEPS) {
+  const scale = CONFIG.TERRAIN.heightScale * (CONFIG.TERRAIN.dataInfluence ?? 0.5) * 4.0;
+  const alpha = CONFIG.UI?.regional?.alpha ?? 0.6;
+  const point = dataHeightTerms(CLASS_COEFFS);
+  const terms = bootstrapCoeffs().map(dataHeightTerms);
+  const at = ({ hG, hA, hD }, k, tR) => (hG + k * (hA + tR * hD - hG)) * scale;
+  const entry = (k, tR) => {
+    let min = Infinity, max = -Infinity;
+    for (const t of terms) {
+      const h = at(t, k, tR);
+      if (h < min) min = h;
+      if (h > max) max = h;
+    }
+    const cur = at(point, k, tR);
+    return { cur, lo: Math.min(min, cur), hi: Math.max(max, cur) };
+  };
+  return { rows: Array.from({ length: steps }, (_, i) => entry(alpha, i / (steps - 1))), flat: entry(0, 0) };
+}
+
+// Relative spread, 0 (resamples agree) … 1 (as wide as the relief itself)
+const bandNoise = ({ cur, lo, hi }) => THREE.MathUtils.clamp((hi - lo) / (2 * Math.abs(cur) + 1e-6), 0, 1);
+
+// Per-vertex band from the table, linear in t between samples
+function dataHeightBand(geometry, table = dataHeightBandTable()) {
+  const pos = geometry.attributes.position;
+  const n = pos.count;
+  const cur = new Float32Array(n), lo = new Float32Array(n), hi = new Float32Array(n);
+  if (!CLASS_COEFFS) return { cur, lo, hi };
+
+  const last = table.rows.length - 1;
+  for (let i = 0; i < n; i++) {
+    const tReg = regionalT(pos.getX(i), pos.getZ(i));
+    if (tReg == null) {
+      cur[i] = table.flat.cur; lo[i] = table.flat.lo; hi[i] = table.flat.hi;
+      continue;
+    }
+    const f = THREE.MathUtils.clamp(tReg, 0, 1) * last;
+    const j = Math.min(Math.floor(f), last - 1), u = f - j;
+    const a = table.rows[j], b = table.rows[j + 1];
+    cur[i] = a.cur + (b.cur - a.cur) * u;
+    lo[i] = a.lo + (b.lo - a.lo) * u;
+    hi[i] = a.hi + (b.hi - a.hi) * u;
+  }
+  return { cur, lo, hi };
+}
+
+// GPU mode: the shells don't need the fine render grid, so they get their own at CPU resolution
+function uncertaintyShellGrid() {
+  const { width, depth, segmentsX, segmentsZ } = CONFIG.TERRAIN;
+  if (!UNCERTAINTY.shellGrid) {
+    UNCERTAINTY.shellGrid = new THREE.PlaneGeometry(width, depth, segmentsX, segmentsZ);
+    UNCERTAINTY.shellGrid.rotateX(-Math.PI / 2);
+  }
+  return UNCERTAINTY.shellGrid;
+}
+
+function clearUncertaintyGhosts() {
+  for (const mesh of UNCERTAINTY.ghosts || []) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+  UNCERTAINTY.ghosts = null;
+}
+
+// Min/max shells share the terrain's grid; the lower one draws through the terrain
+function updateUncertaintyGhosts(geometry, band) {
+  const pos = geometry.attributes.position;
+  if (UNCERTAINTY.ghosts?.[0].geometry.attributes.position.count !== pos.count) {
+    clearUncertaintyGhosts();
+    UNCERTAINTY.ghosts = [
+      { color: 0x4ea3ff, depthTest: false, opacity: 0.12 }, // min
+      { color: 0xff5e5e, depthTest: true,  opacity: 0.22 }, // max
+    ].map(({ color, depthTest, opacity }) => {
+      const g = new THREE.BufferGeometry();
+      g.setIndex(geometry.index);
+      g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pos.count * 3), 3));
+      const mesh = new THREE.Mesh(g, new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity, depthWrite: false, depthTest, side: THREE.DoubleSide,
+      }));
+      mesh.renderOrder = 2;
+      scene.add(mesh);
+      return mesh;
+    });
+  }
+  UNCERTAINTY.ghosts.forEach((mesh, which) => {
+    const edge = which ? band.hi : band.lo;
+    const out = mesh.geometry.attributes.position;
+    for (let i = 0; i < pos.count; i++) {
+      const x = pos.getX(i), z = pos.getZ(i);
+      const y = pos.getY(i) + (TERRAIN_HEIGHT_AT ? TERRAIN_HEIGHT_AT(x, z) : 0);
+      out.setXYZ(i, x, y - band.cur[i] + edge[i], z);
+    }
+    out.needsUpdate = true;
+    mesh.geometry.computeBoundingSphere();
+  });
+}
+
+function applyUncertaintyOverlay(geometry, band, strength = 0.85) {
+  const colorAttr = geometry.getAttribute('color');
+  if (!colorAttr) return;
+  const colors = colorAttr.array;
+  const grey = new THREE.Color(), tint = new THREE.Color();
+  for (let i = 0; i < band.cur.length; i++) {
+    const noise = bandNoise({ cur: band.cur[i], lo: band.lo[i], hi: band.hi[i] });
+    tint.setRGB(colors[i*3], colors[i*3+1], colors[i*3+2]);
+    const l = (tint.r + tint.g + tint.b) / 3;
+    grey.setRGB(l, l, l);
+    tint.lerp(grey, strength).lerp(UNCERTAIN_COLOR, strength * noise);
+    colors[i*3] = tint.r; colors[i*3+1] = tint.g; colors[i*3+2] = tint.b;
+  }
+  colorAttr.needsUpdate = true;
+}
+
+// GPU mode: the table goes to the shader as uniforms, which does the lookup and the tint
+function applyUncertaintyUniforms(table) {
+  updateUncertaintyUniforms(terrainMesh.material, table && table.rows.map(bandNoise), {
+    flat: table && bandNoise(table.flat),
+    color: UNCERTAIN_COLOR,
+  });
+}
+
+function applyUncertainty(geometry) {
+  const gpu = !!terrainMesh?.material.userData.terrainUniforms;
+  if (UNCERTAINTY.mode === 'off' || !CLASS_COEFFS) {
+    clearUncertaintyGhosts();
+    if (gpu) applyUncertaintyUniforms(null);
+    return;
+  }
+  const table = dataHeightBandTable();
+  if (UNCERTAINTY.mode === 'ghost') {
+    const grid = gpu ? uncertaintyShellGrid() : geometry;
+    updateUncertaintyGhosts(grid, dataHeightBand(grid, table));
+    if (gpu) applyUncertaintyUniforms(null);
+  } else {
+    clearUncertaintyGhosts();
+    if (gpu) applyUncertaintyUniforms(table);
+    else applyUncertaintyOverlay(geometry, dataHeightBand(geometry, table));
+  }
+}
+
+// -------------------------
+// Whispers (generated words drifting above the cities)
+// -------------------------
+// Each city voices words from the traced generator at its own blend: the global weights,
+// pulled toward the regional A→B value when regional drift is on (same mix as the terrain).
+// Surprising words (high mean −log p_eff) come out larger and brighter than typical ones.
+const WHISPER_KEYS = new Map(); // city name → "weights|seed" of the words currently shown
+
+// Blend weights at (x, z)
+function whisperDriftAt(x, z) {
+  const tReg = regionalT(x, z);
+  if (tReg == null) return BLEND.weights;
+  const k = CONFIG.UI?.regional?.alpha ?? 0.6;
+  const R = blendWeightsForT(tReg, BLEND.weights.length);
+  return BLEND.weights.map((w, i) => THREE.MathUtils.lerp(w, R[i], k));
+}
+
+// Spelling tables (ipa/script) come from the language that dominates the city's blend
+function whisperProfile(weights) {
+  const i = weights.reduce((best, w, k) => (w > weights[best] ? k : best), 0);
+  return BLEND_PROFILES[i] ?? {};
+}
+
+function whisperLabel(spelled, mode = CONFIG.WHISPERS.label) {
+  if (mode === 'ipa') return `/${spelled.ipa}/`;
+  if (mode === 'script' && spelled.script) return spelled.script;
+  return spelled.text;
+}
+
+// With a graph filter, words are generated to pass through that phoneme; a city whose blend
+// can't produce one keeps its usual words, which updateWhispers then hides
+function whisperWords(weights, count, seed) {
+  if (GRAPH.filter) {
+    const words = generateConstrained(weights, count, { contains: GRAPH.filter }, seed);
+    if (words.length) return words; // none at this blend: fall back to the unfiltered draw
+  }
+  return generateSequenceTrace(weights, count, seed);
+}
+
+function refreshWhispers(force = false) {
+  if (!whisperGroup || !terrainGeometry) return;
+  const W = CONFIG.WHISPERS;
+  const now = performance.now() / 1000;
+
+  CONFIG.CITIES.forEach((city, ci) => {
+    const p = lonLatToXZ(city.lon, city.lat);
+    const t = whisperDriftAt(p.x, p.z);
+    const seed = (NOISE_SEED + ci * 7919) >>> 0;
+    const key = `${t.map(w => w.toFixed(2)).join(',')}|${seed}|${GRAPH.filter ?? ''}`;
+    const y0 = sampleTerrainHeight(p.x, p.z) + 9;
+    const current = whisperGroup.children.filter(spr => spr.userData.city === city.name);
+    if (!force && WHISPER_KEYS.get(city.name) === key) {
+      current.forEach(spr => { spr.userData.y0 = y0; }); // same words, terrain may have moved
+      return;
+    }
+    WHISPER_KEYS.set(city.name, key);
+
+    for (const old of current) {
+      whisperGroup.remove(old);
+      old.material.map?.dispose();
+      old.material.dispose();
+    }
+
+    const jitter = mulberry32(seed);
+    whisperWords(t, W.perCity, seed).forEach((word, i) => {
+      const derivation = evolveWhisper(word.letters, t);
+      const letters = derivation ? derivation.letters : word.letters;
+      // the generated trace keeps its syllables; an evolved form is re-syllabified
+      const spelled = describeWord(derivation ? letters : word, whisperProfile(t));
+      const text = spelled.text;
+      if (!text) return;
+      const meanSurprise = word.edges.reduce((a, e) => a + e.surprise, 0) / (word.edges.length || 1);
+      const sprite = makeTextSprite(whisperLabel(spelled));
+      sprite.material.depthWrite = false;
+      sprite.material.opacity = 0;
+      sprite.position.set(
+        p.x + (jitter() - 0.5) * 2 * W.spread,
+        y0,
+        p.z + (jitter() - 0.5) * 2 * W.spread
+      );
+      sprite.userData = {
+        city: city.name,
+        word: text,
+        spelled,
+        letters,
+        derivation,
+        seed: seed + i,
+        t,
+        y0,
+        salience: 1 - Math.exp(-meanSurprise), // 0 = fully expected … 1 = very surprising
+        born: now + (i / W.perCity) * W.lifetime, // staggered so they don't rise in step
+        canvasW: sprite.material.map.image.width,
+        canvasH: sprite.material.map.image.height,
+      };
+      whisperGroup.add(sprite);
+    });
+  });
+  renderDerivations();
+}
+
+// -------------------------
+// Sound changes (ordered rules applied to the whispers)
+// -------------------------
+// The rule list reads as history: a rule fires once the whisper's drift toward B (1 − the A
+// weight) passes its threshold, so the same generated word shows more changes the further
+// the city sits along the drift axis. The panel lists each whisper's derivation step by step.
+const SOUND_CHANGES = { rules: [], error: null };
+
+// Parse one rule per line; a bad line keeps the previous rules and reports the error
+function setSoundRules(lines) {
+  try {
+    SOUND_CHANGES.rules = lines.map(l => l.trim()).filter(Boolean).map(parseRule);
+    SOUND_CHANGES.error = null;
+  } catch (err) {
+    SOUND_CHANGES.error = err.message;
+  }
+}
+
+// null when sound changes are off (the whisper keeps its generated letters)
+function evolveWhisper(letters, weights) {
+  if (!CONFIG.SOUND_CHANGES.enabled || !SOUND_CHANGES.rules.length) return null;
+  return applySoundChanges(letters, SOUND_CHANGES.rules, 1 - (weights[0] ?? 1));
+}
+
+function renderDerivations() {
+  const box = document.getElementById('soundDerivations');
+  if (!box || !whisperGroup) return;
+  if (SOUND_CHANGES.error) { box.textContent = `⚠️ ${SOUND_CHANGES.error}`; return; }
+  if (!CONFIG.SOUND_CHANGES.enabled) { box.textContent = 'Off — whispers show the generated forms.'; return; }
+  const lines = whisperGroup.children.map(spr => {
+    const d = spr.userData.derivation;
+    if (!d) return null;
+    const steps = d.history.filter(h => h.changed).map(h => `${h.after}  (${h.rule})`);
+    return [`${spr.userData.city}: ${d.input}`, ...steps.map(s => `  → ${s}`)].join('\n');
+  }).filter(Boolean);
+  box.textContent = lines.join('\n') || 'No whispers yet.';
+}
+
+// Per frame: rise, fade in/out over the lifetime, then start over from the ground
+function updateWhispers() {
+  if (!whisperGroup || !whisperGroup.visible) return;
+  const W = CONFIG.WHISPERS;
+  const now = performance.now() / 1000;
+  const dist = camera.position.length();
+
+  for (const spr of whisperGroup.children) {
+    const u = spr.userData;
+    spr.visible = !GRAPH.filter || u.letters.includes(GRAPH.filter);
+    let f = (now - u.born) / W.lifetime;
+    if (f < 0) { spr.material.opacity = 0; continue; }
+    if (f >= 1) { u.born = now; f = 0; }
+    if (u.spokenAt !== u.born) { u.spokenAt = u.born; if (spr.visible) speakWhisper(spr); }
+
+    spr.position.y = u.y0 + W.rise * easeOutSine(f);
+    spr.material.opacity = (0.35 + 0.6 * u.salience) * Math.sin(Math.PI * f);
+    const scale = dist * 0.0028 * 0.08 * (0.7 + 0.7 * u.salience);
+    spr.scale.set(u.canvasW * scale, u.canvasH * scale, 1);
+  }
+}
+
+// Whispered voice through the AUDIO graph (so the analyser hears it too); rendered once per
+// sprite and only when the context is already running — it is resumed by the UI toggle
+function speakWhisper(spr) {
+  if (!CONFIG.WHISPERS.voice || !AUDIO.ctx || AUDIO.ctx.state !== 'running' || !AUDIO.gain) return;
+  const u = spr.userData;
+  if (!u.audio) {
+    const { samples, sampleRate } = renderWord(u.letters, { whisper: true, sampleRate: AUDIO.ctx.sampleRate, rng: u.seed });
+    if (!samples.length) return;
+    u.audio = AUDIO.ctx.createBuffer(1, samples.length, sampleRate);
+    u.audio.copyToChannel(samples, 0);
+  }
+  const src = AUDIO.ctx.createBufferSource();
+  const level = AUDIO.ctx.createGain();
+  level.gain.value = 0.2 + 0.5 * u.salience;
+  src.buffer = u.audio;
+  src.connect(level);
+  level.connect(AUDIO.gain);
+  src.onended = () => { try { level.disconnect(); } catch {} };
+  src.start();
+}
+
+// Current whispers (or a fresh batch) as a WAV download; the transcript (script, IPA and
+// romanized form per word, in playback order) goes into the file's comment
+function downloadWhispersWAV(words = 8) {
+  const items = whisperGroup?.children.length
+    ? whisperGroup.children.map(spr => spr.userData)
+    : generateSequenceTrace(BLEND.weights, words, NOISE_SEED)
+      .map(w => ({ letters: w.letters, spelled: describeWord(w, whisperProfile(BLEND.weights)) }));
+  const { samples, sampleRate } = renderSequence(items.map(u => u.letters), { rng: NOISE_SEED });
+  const comment = items.map(({ spelled: d }) => [d.script, `/${d.ipa}/`, d.text].filter(Boolean).join('  ')).join('\n');
+  const blob = new Blob([encodeWAV(samples, sampleRate, { comment })], { type: 'audio/wav' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `sound_topographies_${Date.now()}.wav`;
+  a.click();
+}
+window.downloadWhispersWAV = downloadWhispersWAV;
+
+// -------------------------
+// Divergence report (A ↔ B, overlay panel + JSON/CSV export)
+// -------------------------
+let DIVERGENCE = null;
+
+const fmt = (v, digits = 4) => (v == null || !Number.isFinite(v)) ? '—' : (+v.toPrecision(digits)).toString();
+
+function tableOf(head, rows) {
+  const tr = (cells, tag) => {
+    const row = document.createElement('tr');
+    row.replaceChildren(...cells.map(c => {
+      const cell = document.createElement(tag);
+      cell.textContent = c;
+      return cell;
+    }));
+    return row;
+  };
+  const table = document.createElement('table');
+  table.replaceChildren(tr(head, 'th'), ...rows.map(r => tr(r, 'td')));
+  return table;
+}
+
+function renderDivergenceReport(body, r, top = 12) {
+  const para = (text) => { const el = document.createElement('p'); el.textContent = text; return el; };
+  const heading = (text) => { const el = document.createElement('h4'); el.textContent = text; return el; };
+  const chi = r.chiSquare;
+  const parts = [
+    para(`JS ${fmt(r.js)} bits • KL(A‖B) ${fmt(r.kl.ab)} • KL(B‖A) ${fmt(r.kl.ba)} bits over ${r.support} phonemes`),
+    para(chi
+      ? `χ² = ${fmt(chi.stat)}, df ${chi.df}, p = ${fmt(chi.p, 3)} (n = ${chi.nA} / ${chi.nB}${chi.lowExpected ? `; ${chi.lowExpected} cells with expected < 5` : ''})`
+      : 'χ²: needs raw counts for both languages (CSV count column or a word list)'),
+  ];
+  if (r.onlyA.length || r.onlyB.length) {
+    parts.push(para(`Only in ${r.a}: ${r.onlyA.join(' ') || '—'} • only in ${r.b}: ${r.onlyB.join(' ') || '—'}`));
+  }
+  parts.push(
+    heading('Classes'),
+    tableOf(['class', `p ${r.a}`, `p ${r.b}`, 'Δ', 'JS share', 'χ²'],
+      r.classes.map(c => [c.class, fmt(c.massA, 3), fmt(c.massB, 3), fmt(c.delta, 2), `${Math.round(c.share * 100)}%`, fmt(c.chi, 3)])),
+    heading(`Phonemes (top ${Math.min(top, r.phonemes.length)} by JS)`),
+    tableOf(['', `p ${r.a}`, `p ${r.b}`, 'Δ', 'JS', 'χ²', 'resid.'],
+      r.phonemes.slice(0, top).map(p => [p.phoneme, fmt(p.pA, 3), fmt(p.pB, 3), fmt(p.delta, 2), fmt(p.js, 3), fmt(p.chi, 3), fmt(p.residual, 2)])),
+  );
+  const T = r.transitions;
+  parts.push(heading(`Transitions (${T.shared} shared rows)`));
+  parts.push(T.edges.length
+    ? tableOf(['from→to', `p ${r.a}`, `p ${r.b}`, 'Δ'],
+      T.edges.slice(0, top).map(e => [`${e.from}→${e.to}`, fmt(e.pA, 3), fmt(e.pB, 3), fmt(e.delta, 2)]))
+    : para('No transition rows in common.'));
+  body.replaceChildren(...parts);
+}
+
+function showDivergenceReport() {
+  const panel = document.getElementById('divergencePanel');
+  if (!panel || !DATA_A || !DATA_B) return;
+  DIVERGENCE = divergenceReport(DATA_A, DATA_B);
+  console.log('[DIVERGENCE]', DIVERGENCE);
+  document.getElementById('divergenceTitle').textContent = `${DIVERGENCE.a} ↔ ${DIVERGENCE.b}`;
+  renderDivergenceReport(document.getElementById('divergenceBody'), DIVERGENCE);
+  panel.hidden = false;
+}
+
+function downloadDivergence(kind) {
+  if (!DIVERGENCE) return;
+  const blob = kind === 'csv'
+    ? new Blob([reportToCSV(DIVERGENCE)], { type: 'text/csv' })
+    : new Blob([JSON.stringify(DIVERGENCE, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `divergence_${DIVERGENCE.a}_${DIVERGENCE.b}.${kind}`.replace(/[^\w.-]+/g, '_');
+  a.click();
+}
+window.divergenceReport = () => (DATA_A && DATA_B ? divergenceReport(DATA_A, DATA_B) : null);
+
 // -------------------------
 // Text sprite labels
 // -------------------------
@@ -1483,6 +2025,182 @@ function updateAudioLevel() {
   AUDIO.pres = AUDIO.level * 0.6;
 }
 
+// -------------------------
+// Analytics panel
+// -------------------------
+let ANALYTICS = null; // last analyticsSweep() result
+
+function drawAnalyticsPlot(canvas, sweep, tNow = 0) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height, pad = 14, top = 40;
+  ctx.clearRect(0, 0, W, H);
+  if (!sweep?.length) return;
+
+  const series = [
+    { key: 'entropyRate', color: '#eab308', label: 'entropy rate (bits)' },
+    { key: 'wordLength',  color: '#41b6c4', label: 'expected length' },
+    { key: 'perplexity',  color: '#ff5e5e', label: 'perplexity' },
+  ].filter(s => sweep.some(r => Number.isFinite(r[s.key])));
+
+  // each series is scaled to its own range; the legend carries the numbers
+  series.forEach((s, si) => {
+    const vals = sweep.map(r => r[s.key]).filter(Number.isFinite);
+    const lo = Math.min(...vals), hi = Math.max(...vals);
+    const span = (hi - lo) || 1;
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let started = false;
+    for (const r of sweep) {
+      if (!Number.isFinite(r[s.key])) continue;
+      const x = pad + r.alpha * (W - 2 * pad);
+      const y = H - pad - ((r[s.key] - lo) / span) * (H - pad - top);
+      if (started) ctx.lineTo(x, y); else { ctx.moveTo(x, y); started = true; }
+    }
+    ctx.stroke();
+    ctx.fillStyle = s.color;
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.fillText(`${s.label}  ${lo.toFixed(2)} – ${hi.toFixed(2)}`, pad, 12 + si * 12);
+  });
+
+  // current drift marker
+  const xm = pad + THREE.MathUtils.clamp(tNow, 0, 1) * (W - 2 * pad);
+  ctx.strokeStyle = 'rgba(255,255,255,0.55)';
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(xm, top - 4);
+  ctx.lineTo(xm, H - pad);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+// -------------------------
+// Transition graph panel
+// -------------------------
+// Aggregated traces at the current drift as a directed phoneme graph: edge width = how often
+// the transition was taken, colour = its mean surprise. Nodes sit on a circle in inventory
+// order so they stay put while alpha moves, and edges tween from the previous state.
+// Clicking a node regenerates the whispers as words that pass through that phoneme.
+const GRAPH = {
+  words: 200,          // traced words aggregated per update
+  maxSurprise: 3,      // nats mapped to the hot end of the colour ramp
+  tween: 450,          // ms
+  settle: 150,         // ms without input before a drag rebuilds the graph
+  from: null, to: null, start: 0, raf: 0, timer: 0,
+  layout: null,        // sym → {x, y}
+  filter: null,        // phoneme the whispers must contain
+};
+const GRAPH_COOL = new THREE.Color('#41b6c4');
+const GRAPH_HOT  = new THREE.Color('#ff5e5e');
+
+function graphLayout(canvas) {
+  const syms = ['#', ...PHONEMES.map(p => p.sym)];
+  const cx = canvas.width / 2, cy = canvas.height / 2;
+  const r = Math.min(cx, cy) - 16;
+  return Object.fromEntries(syms.map((sym, i) => {
+    const a = -Math.PI / 2 + (i / syms.length) * Math.PI * 2;
+    return [sym, { x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r }];
+  }));
+}
+
+// edge key → { count (share of the busiest edge), surprise } for tweening
+function graphState(agg) {
+  const max = agg.edges[0]?.count || 1;
+  return Object.fromEntries(agg.edges.map(e => [e.key, { from: e.from, to: e.to, w: e.count / max, s: e.meanSurprise }]));
+}
+
+function updateTransitionGraph(canvas) {
+  if (!canvas) return;
+  const agg = aggregateTraces(generateSequenceTrace(BLEND.weights, GRAPH.words, NOISE_SEED));
+  GRAPH.layout = graphLayout(canvas);
+  GRAPH.from = GRAPH.to ? tweenedGraph(performance.now()) : {};
+  GRAPH.to = graphState(agg);
+  GRAPH.start = performance.now();
+  cancelAnimationFrame(GRAPH.raf);
+  const step = () => {
+    drawTransitionGraph(canvas, tweenedGraph(performance.now()));
+    if (performance.now() - GRAPH.start < GRAPH.tween) GRAPH.raf = requestAnimationFrame(step);
+  };
+  step();
+}
+
+// Drags (time drift, blend simplex) rebuild the graph once they pause, not per input event
+function scheduleTransitionGraph(canvas = document.getElementById('transitionGraph')) {
+  clearTimeout(GRAPH.timer);
+  GRAPH.timer = setTimeout(() => updateTransitionGraph(canvas), GRAPH.settle);
+}
+
+function tweenedGraph(now) {
+  const k = easeOutSine(THREE.MathUtils.clamp((now - GRAPH.start) / GRAPH.tween, 0, 1));
+  const out = {};
+  for (const key of new Set([...Object.keys(GRAPH.from || {}), ...Object.keys(GRAPH.to || {})])) {
+    const a = GRAPH.from?.[key], b = GRAPH.to?.[key];
+    const ref = b || a;
+    out[key] = {
+      from: ref.from, to: ref.to,
+      w: THREE.MathUtils.lerp(a?.w ?? 0, b?.w ?? 0, k),
+      s: THREE.MathUtils.lerp(a?.s ?? b.s, b?.s ?? a.s, k),
+    };
+  }
+  return out;
+}
+
+function drawTransitionGraph(canvas, state) {
+  const ctx = canvas.getContext('2d');
+  const L = GRAPH.layout;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const color = new THREE.Color();
+
+  for (const e of Object.values(state)) {
+    const a = L[e.from], b = L[e.to];
+    if (!a || !b || e.w < 0.01) continue;
+    const dim = GRAPH.filter && e.from !== GRAPH.filter && e.to !== GRAPH.filter;
+    color.copy(GRAPH_COOL).lerp(GRAPH_HOT, THREE.MathUtils.clamp(e.s / GRAPH.maxSurprise, 0, 1));
+    ctx.strokeStyle = color.getStyle();
+    ctx.globalAlpha = dim ? 0.08 : 0.25 + 0.6 * e.w;
+    ctx.lineWidth = 0.5 + 5 * e.w;
+    ctx.beginPath();
+    if (a === b) {
+      ctx.arc(a.x, a.y - 8, 6, 0, Math.PI * 2); // self-loop
+    } else {
+      // bend to the right of the direction of travel so a→b and b→a stay apart
+      const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+      const dx = b.x - a.x, dy = b.y - a.y;
+      ctx.moveTo(a.x, a.y);
+      ctx.quadraticCurveTo(mx - dy * 0.2, my + dx * 0.2, b.x, b.y);
+    }
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const [sym, p] of Object.entries(L)) {
+    const active = GRAPH.filter === sym;
+    ctx.fillStyle = active ? '#eab308' : '#111827';
+    ctx.strokeStyle = active ? '#eab308' : '#4b5563';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 9, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = active ? '#0b1118' : '#e5e7eb';
+    ctx.fillText(sym === '#' ? '·' : sym, p.x, p.y);
+  }
+}
+
+function graphNodeAt(canvas, ev) {
+  if (!GRAPH.layout) return null;
+  const rect = canvas.getBoundingClientRect();
+  const x = (ev.clientX - rect.left) * (canvas.width / rect.width);
+  const y = (ev.clientY - rect.top) * (canvas.height / rect.height);
+  for (const [sym, p] of Object.entries(GRAPH.layout)) {
+    if (sym !== '#' && Math.hypot(x - p.x, y - p.y) <= 10) return sym;
+  }
+  return null;
+}
+
 // -------------------------
 // UI
 // -------------------------
@@ -1493,15 +2211,26 @@ function wireUI() {
   const dataInfluence   = document.getElementById('dataInfluence');
   const toggleLabels    = document.getElementById('toggleLabels');
   const toggleRibbons   = document.getElementById('toggleRibbons');
+  const toggleWhispers  = document.getElementById('toggleWhispers');
+  const toggleVoice     = document.getElementById('toggleVoice');
+  const whisperLabelSel = document.getElementById('whisperLabel');
+  const transitionGraph = document.getElementById('transitionGraph');
+  const graphFilter     = document.getElementById('graphFilter');
+  const soundRules      = document.getElementById('soundRules');
+  const applySound      = document.getElementById('applySoundChanges');
+  const wavBtn          = document.getElementById('wavBtn');
   const recordBtn       = document.getElementById('recordBtn');
   const resetViewBtn    = document.getElementById('resetView');
   const newSeedBtn      = document.getElementById('newSeed');
+  const gpuTerrain      = document.getElementById('gpuTerrain');
 
   // Phoneme-class sliders (optional in DOM)
   const wVowels         = document.getElementById('wVowels');
   const wSibs           = document.getElementById('wSibs');
   const wNasals         = document.getElementById('wNasals');
   const wStops          = document.getElementById('wStops');
+  const wAspiration     = document.getElementById('wAspiration');
+  const wVoicing        = document.getElementById('wVoicing');
 
   // Regional drift controls (optional in DOM)
   const regionalize     = document.getElementById('regionalize');
@@ -1528,10 +2257,6 @@ function wireUI() {
   // }
 
   // --- Utility: (re)displace + recolor + overlays ---
-  function recolorBase() {
-    (CONFIG.TERRAIN.useWidthTint ? applyHeightAndWidthColors : applyElevationColors)(terrainGeometry);
-  }
-
   // Demo-mode palette memory for heatmap
   let __prevPalette = CONFIG.UI.palette;
 
@@ -1546,25 +2271,11 @@ function wireUI() {
       CONFIG.UI.palette = __prevPalette || CONFIG.UI.palette;
     }
 
-    // Base recolor
-    recolorBase();
-
-    // Skip the data influence overlay while heatmap is ON (clearer contrast)
-    if (!heatOn) applyDataInfluenceOverlay(terrainGeometry, 0.35);
-
-    // Apply high-contrast transition heatmap if enabled
-    if (heatOn && typeof applyTransitionHeatmap === 'function') {
-      applyTransitionHeatmap(terrainGeometry); // uses baked-in contrast params
-    }
-
-    // snapshot base vertex colors for audio modulation
-    const colAttr = terrainGeometry.getAttribute('color');
-    if (colAttr && colAttr.array) {
-        if (!BASE_COLORS || BASE_COLORS.length !== colAttr.array.length) {
-        BASE_COLORS = new Float32Array(colAttr.array.length);
-        }
-        BASE_COLORS.set(colAttr.array);
-    }
+    // Base recolor + overlay (the data influence overlay is skipped while the heatmap is ON,
+    // for clearer contrast); the worker swaps the colours in and re-snapshots BASE_COLORS,
+    // or in GPU mode the shader picks up the new uniforms
+    if (CONFIG.TERRAIN.gpu) updateGpuTerrain({ heights: false });
+    else requestTerrain({ heights: false });
   }
 
   function reDisplaceAndRecolor() {
@@ -1581,6 +2292,7 @@ function wireUI() {
   }
 
   // --- Time Drift slider (0..1) ---
+  const blendSimplex = document.getElementById('blendSimplex');
   window.__timeDriftValue = 0;
   if (timeDrift) {
     timeDrift.addEventListener('input', (e) => {
@@ -1588,14 +2300,141 @@ function wireUI() {
       console.log('[UI] timeDrift ->', window.__timeDriftValue);
       window.__timeDriftValue = THREE.MathUtils.clamp(t, 0, 1);
 
-      // Global data blend (still used by some color logic)
-      if (DATA_A && DATA_B) DATA = lerpData(DATA_A, DATA_B, t);
+      // The slider walks the A→B edge of the blend simplex (other languages drop to 0)
+      BLEND.weights = blendWeightsForT(window.__timeDriftValue);
+      DATA = blendData(BLEND_PROFILES, BLEND.weights);
+      drawBlendSimplex(blendSimplex);
+      if (ANALYTICS && analyticsPlot) drawAnalyticsPlot(analyticsPlot, ANALYTICS, window.__timeDriftValue);
+      scheduleTransitionGraph(transitionGraph);
 
       window.reDisplaceAndRecolor?.();
       triggerPulse?.(900, 0.7);
     });
   }
 
+  // --- Transition graph: click a node to filter the whispers, again (or empty space) to clear ---
+  if (transitionGraph) {
+    transitionGraph.addEventListener('click', (ev) => {
+      const sym = graphNodeAt(transitionGraph, ev);
+      GRAPH.filter = (sym && sym !== GRAPH.filter) ? sym : null;
+      refreshWhispers(true);
+      if (graphFilter) {
+        const shown = GRAPH.filter
+          ? whisperGroup.children.filter(spr => spr.userData.letters.includes(GRAPH.filter)).length
+          : whisperGroup.children.length;
+        graphFilter.textContent = GRAPH.filter
+          ? `Whispers through “${GRAPH.filter}”: ${shown} of ${whisperGroup.children.length} • click again to clear`
+          : '';
+      }
+      drawTransitionGraph(transitionGraph, tweenedGraph(performance.now()));
+    });
+    updateTransitionGraph(transitionGraph);
+  }
+
+  // --- Language pickers (A = Time Drift 0, B = Time Drift 1) ---
+  const langStatus = document.getElementById('langStatus');
+  fillLanguageSelects();
+  for (const side of ['A', 'B']) {
+    const sel = document.getElementById(`lang${side}`);
+    if (!sel) continue;
+    sel.addEventListener('change', async () => {
+      LANG_PICK[side] = sel.value;
+      await applyLanguagePair();
+      triggerPulse?.(900, 0.7);
+    });
+  }
+
+  // --- Drag & drop a CSV / JSON dataset anywhere to add a language ---
+  window.addEventListener('dragover', (ev) => {
+    if (!ev.dataTransfer?.types?.includes('Files')) return;
+    ev.preventDefault();
+    document.body.classList.add('dropping');
+  });
+  window.addEventListener('dragleave', (ev) => {
+    if (ev.relatedTarget == null) document.body.classList.remove('dropping');
+  });
+  window.addEventListener('drop', async (ev) => {
+    if (!ev.dataTransfer?.files?.length) return;
+    ev.preventDefault();
+    document.body.classList.remove('dropping');
+    const report = await importLanguageFiles([...ev.dataTransfer.files]);
+    console.log('[DATA] import ->', report);
+    if (langStatus) langStatus.textContent = report.length ? report.join(' • ') : 'Only .csv and .json files can be imported';
+    if (report.some(line => line.startsWith('✓'))) await applyLanguagePair(); // new simplex vertex
+  });
+
+  // --- Blend simplex: drag the point to mix every loaded language ---
+  if (blendSimplex) {
+    const pick = (ev) => {
+      const r = blendSimplex.getBoundingClientRect();
+      const p = {
+        x: (ev.clientX - r.left) * (blendSimplex.width / r.width),
+        y: (ev.clientY - r.top) * (blendSimplex.height / r.height),
+      };
+      setBlendWeights(simplexWeightsAt(simplexVertices(BLEND.ids.length, blendSimplex.width, blendSimplex.height), p));
+    };
+    blendSimplex.addEventListener('pointerdown', (ev) => {
+      blendSimplex.setPointerCapture(ev.pointerId);
+      pick(ev);
+    });
+    blendSimplex.addEventListener('pointermove', (ev) => {
+      if (blendSimplex.hasPointerCapture(ev.pointerId)) pick(ev);
+    });
+    blendSimplex.addEventListener('pointerup', (ev) => {
+      blendSimplex.releasePointerCapture(ev.pointerId);
+      refreshWhispers();
+      triggerPulse?.(900, 0.7);
+    });
+    drawBlendSimplex(blendSimplex);
+  }
+
+  // --- Word list → drift estimate (drives the Time Drift slider) ---
+  const driftWords      = document.getElementById('driftWords');
+  const estimateDrift   = document.getElementById('estimateDrift');
+  const driftEstimate   = document.getElementById('driftEstimate');
+  if (driftWords && estimateDrift) {
+    estimateDrift.addEventListener('click', () => {
+      const words = driftWords.value.split(/[\s,;]+/).filter(Boolean);
+      if (!words.length) return;
+      const est = estimateAlpha(words);
+      console.log('[UI] drift estimate ->', est);
+      const skipped = est.rejected.length ? ` • ${est.rejected.length} rejected` : '';
+      if (!Number.isFinite(est.alpha)) {
+        // no fit: say why and leave the slider where it is
+        if (driftEstimate) driftEstimate.textContent = `No fit: ${est.reason}${skipped}`;
+        return;
+      }
+      if (driftEstimate) {
+        const ci = `${Math.round(est.level * 100)}% CI ${est.ci[0].toFixed(2)}–${est.ci[1].toFixed(2)}`;
+        driftEstimate.textContent = `t ≈ ${est.alpha.toFixed(2)} (${ci}) • ${est.used} words${skipped}`;
+      }
+      if (timeDrift) {
+        timeDrift.value = est.alpha;
+        timeDrift.dispatchEvent(new Event('input'));
+      } else {
+        window.__timeDriftValue = est.alpha;
+        window.reDisplaceAndRecolor?.();
+      }
+    });
+  }
+
+  // --- Model analytics sweep (held-out words come from the word list box) ---
+  const analyticsPlot    = document.getElementById('analyticsPlot');
+  const runAnalytics     = document.getElementById('runAnalytics');
+  const analyticsChanges = document.getElementById('analyticsChanges');
+  if (analyticsPlot && runAnalytics) {
+    runAnalytics.addEventListener('click', () => {
+      const heldOut = (driftWords?.value || '').split(/[\s,;]+/).filter(Boolean);
+      ANALYTICS = analyticsSweep({ steps: 21, heldOut });
+      drawAnalyticsPlot(analyticsPlot, ANALYTICS, window.__timeDriftValue || 0);
+      if (analyticsChanges) {
+        analyticsChanges.textContent = 'Largest shifts: ' + transitionChanges({ top: 5 })
+          .map(c => `${c.from}→${c.to} ${c.delta >= 0 ? '+' : ''}${c.delta.toFixed(2)}`)
+          .join(' • ');
+      }
+    });
+  }
+
   // --- Data Influence slider (0..1) ---
   if (dataInfluence) {
     CONFIG.TERRAIN.dataInfluence = parseFloat(dataInfluence.value || '0.5'); // init
@@ -1620,11 +2459,66 @@ function wireUI() {
       ribbonGroup.visible = !!e.target.checked;
     });
   }
+  if (toggleWhispers) {
+    whisperGroup.visible = !!toggleWhispers.checked;
+    toggleWhispers.addEventListener('change', (e) => {
+      whisperGroup.visible = !!e.target.checked;
+    });
+  }
+  if (toggleVoice) {
+    toggleVoice.checked = !!CONFIG.WHISPERS.voice;
+    toggleVoice.addEventListener('change', async (e) => {
+      CONFIG.WHISPERS.voice = !!e.target.checked;
+      if (!CONFIG.WHISPERS.voice) return;
+      // this change event is the user gesture the autoplay policy wants
+      ensureAudioPipeline();
+      try { await AUDIO.ctx.resume(); } catch (err) { console.warn('AudioContext resume failed:', err); }
+    });
+  }
+
+  if (whisperLabelSel) {
+    whisperLabelSel.value = CONFIG.WHISPERS.label;
+    whisperLabelSel.addEventListener('change', (e) => {
+      CONFIG.WHISPERS.label = e.target.value;
+      refreshWhispers(true);
+    });
+  }
+
+  // --- Sound changes: rules textarea + toggle, both re-derive the whispers ---
+  setSoundRules(CONFIG.SOUND_CHANGES.rules);
+  if (soundRules) {
+    soundRules.value = CONFIG.SOUND_CHANGES.rules.join('\n');
+    soundRules.addEventListener('change', (e) => {
+      setSoundRules(e.target.value.split('\n'));
+      refreshWhispers(true);
+      renderDerivations();
+    });
+  }
+  if (applySound) {
+    applySound.checked = !!CONFIG.SOUND_CHANGES.enabled;
+    applySound.addEventListener('change', (e) => {
+      CONFIG.SOUND_CHANGES.enabled = !!e.target.checked;
+      refreshWhispers(true);
+      renderDerivations();
+    });
+  }
+  renderDerivations();
 
   // --- Record button (20s default) ---
   if (recordBtn && typeof recordCanvas === 'function') {
     recordBtn.addEventListener('click', () => recordCanvas(20));
   }
+  // --- Divergence report overlay ---
+  document.getElementById('compareBtn')?.addEventListener('click', showDivergenceReport);
+  document.getElementById('divergenceClose')?.addEventListener('click', () => {
+    document.getElementById('divergencePanel').hidden = true;
+  });
+  document.getElementById('divergenceJSON')?.addEventListener('click', () => downloadDivergence('json'));
+  document.getElementById('divergenceCSV')?.addEventListener('click', () => downloadDivergence('csv'));
+
+  if (wavBtn) {
+    wavBtn.addEventListener('click', () => downloadWhispersWAV());
+  }
 
   // --- Reset View ---
   if (resetViewBtn) {
@@ -1634,6 +2528,15 @@ function wireUI() {
     });
   }
 
+  // --- GPU terrain (shader field on a finer grid; rebuilds the mesh) ---
+  if (gpuTerrain) {
+    gpuTerrain.checked = !!CONFIG.TERRAIN.gpu;
+    gpuTerrain.addEventListener('change', () => {
+      CONFIG.TERRAIN.gpu = !!gpuTerrain.checked;
+      regenerate();
+    });
+  }
+
   // --- New Seed (reseed the noise field and rebuild) ---
   if (typeof NOISE_SEED === 'undefined') window.NOISE_SEED = Math.floor(Math.random() * 1e9);
   if (newSeedBtn) {
@@ -1644,13 +2547,14 @@ function wireUI() {
     });
   }
 
-  // --- Phoneme-class weights (vowels/sibilants/nasals/stops) ---
+  // --- Phoneme-class weights (vowels/sibilants/nasals/stops) and feature axes ---
   function bindWeight(el, key) {
     if (!el) return;
-    if (!CONFIG.UI.weights) CONFIG.UI.weights = { vowels: 1, sibilants: 1, nasals: 1, stops: 1 };
-    CONFIG.UI.weights[key] = parseFloat(el.value || '1');
+    if (!CONFIG.UI.weights) CONFIG.UI.weights = { vowels: 1, sibilants: 1, nasals: 1, stops: 1, aspiration: 0, voicing: 0 };
+    const neutral = String(CLASS_HEIGHT[key]?.neutral ?? 1);
+    CONFIG.UI.weights[key] = parseFloat(el.value || neutral);
     el.addEventListener('input', (e) => {
-      CONFIG.UI.weights[key] = parseFloat(e.target.value || '1');
+      CONFIG.UI.weights[key] = parseFloat(e.target.value || neutral);
       console.log('[UI] weight change', key, '->', CONFIG.UI.weights[key]);
       window.reDisplaceAndRecolor?.();
       triggerPulse?.(850, 0.65);
@@ -1660,6 +2564,8 @@ function wireUI() {
   bindWeight(wSibs,   'sibilants');
   bindWeight(wNasals, 'nasals');
   bindWeight(wStops,  'stops');
+  bindWeight(wAspiration, 'aspiration');
+  bindWeight(wVoicing,    'voicing');
 
   // --- Regional drift controls ---
   if (regionalize) {
@@ -1685,6 +2591,17 @@ function wireUI() {
     });
   }
 
+  // --- Bootstrap uncertainty (off / min–max ghost shells / colour overlay) ---
+  const uncertaintyMode = document.getElementById('uncertaintyMode');
+  if (uncertaintyMode) {
+    uncertaintyMode.value = UNCERTAINTY.mode;
+    uncertaintyMode.addEventListener('change', () => {
+      UNCERTAINTY.mode = uncertaintyMode.value;
+      recolorWithOverlays();
+      triggerPulse?.(420, 0.45);
+    });
+  }
+
   // --- Transition heatmap toggle ---
   if (transitionHeat) {
     transitionHeat.addEventListener('change', () => {
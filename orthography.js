@@ -0,0 +1,55 @@
+// orthography.js
+// Structured output for generated words: syllables with onset/nucleus/coda roles, an IPA
+// rendering and a native-script transliteration. Everything is driven by the language
+// profile's mapping tables:
+//   ipa:    { "kh": "kʰ", ... }                 phonemes not listed are written as-is
+//   script: { name, carrier, separator,          carrier = vowel-initial syllable base
+//             onset, medial, vowel, coda }      abugida tables (Limbu, Tibetan ...)
+import { CLASS_OF, scoreWord } from './engine.js';
+
+// Onset = everything before the first vowel, nucleus = the vowel run, coda = the rest
+export function syllableRoles(syllable, classOf = CLASS_OF) {
+  let v = syllable.findIndex(s => classOf[s] === 'V');
+  if (v < 0) return { onset: [], nucleus: syllable.slice(), coda: [] };
+  let end = v;
+  while (end + 1 < syllable.length && classOf[syllable[end + 1]] === 'V') end++;
+  return { onset: syllable.slice(0, v), nucleus: syllable.slice(v, end + 1), coda: syllable.slice(end + 1) };
+}
+
+export function toIPA(syllables, table = {}) {
+  return syllables.map(syl => syl.map(s => table[s] ?? s).join('')).join('.');
+}
+
+// Abugida spelling: base consonant (or vowel carrier), subjoined/medial consonants,
+// vowel sign, then final consonants; syllables joined by the script's separator
+export function toScript(syllables, script, classOf = CLASS_OF) {
+  if (!script) return '';
+  const pick = (table, s) => table?.[s] ?? script.onset?.[s] ?? s;
+  return syllables.map(syl => {
+    const { onset, nucleus, coda } = syllableRoles(syl, classOf);
+    let out = onset.length ? pick(script.onset, onset[0]) : (script.carrier ?? '');
+    for (const c of onset.slice(1)) out += pick(script.medial, c);
+    for (const v of nucleus) out += script.vowel?.[v] ?? v;
+    for (const c of coda) out += pick(script.coda, c);
+    return out;
+  }).join(script.separator ?? '');
+}
+
+// word: a trace ({letters, syllables}), an array of syllables, or a plain string (which is
+// syllabified by scoring it against the current model)
+export function describeWord(word, profile = {}, classOf = CLASS_OF) {
+  let syllables;
+  if (Array.isArray(word?.syllables)) syllables = word.syllables;
+  else if (Array.isArray(word) && Array.isArray(word[0])) syllables = word;
+  else {
+    const scored = scoreWord(word?.letters ?? word);
+    syllables = scored.legal ? scored.syllables : [scored.letters];
+  }
+  return {
+    text: syllables.flat().join(''),
+    syllables: syllables.map(syl => ({ ...syllableRoles(syl, classOf), text: syl.join('') })),
+    ipa: toIPA(syllables, profile.ipa),
+    script: toScript(syllables, profile.script, classOf),
+    scriptName: profile.script?.name ?? null,
+  };
+}
@@ -0,0 +1,331 @@
+// profile.js
+// One LanguageProfile for every dataset format (the phoneme CSVs and the JSON profiles), plus
+// a validator that reports what it had to fix or skip instead of dropping it silently.
+//   {
+//     name, sources: ['limboo.json', 'limboo.csv'],
+//     phonemes: { C:[..], V:[..], N:[..] },   inventory (loadInventory blocks)
+//     classOf:  { sym: 'C' | 'V' | 'N' },
+//     freq:     Map sym → probability (sums to 1)
+//     counts:   Map sym → raw count, when the source had counts (else null)
+//     trans:    Map 'k->a' → probability      explicit transitions (CSV from/to/prob)
+//     bigrams:  { 'C->V': p, .. }             class bigrams
+//     syllable, ipa, script, words            passed through from JSON (null when absent)
+//     problems: [{ level, code, message, source?, line?, phoneme? }]
+//   }
+// Symbols are normalized with the engine's rules (NFC, "ng" → ŋ), so every consumer keys the
+// same way. buildTransitionMatrix accepts a profile as-is.
+import { normalizePhoneme, makeRng } from './engine.js';
+
+const CLASSES = ['C', 'V', 'N'];
+const SUM_TOLERANCE = 1e-3;
+
+// Class guess for phonemes a CSV brings without an inventory
+const VOWEL_BASES = /^[aeiouəɛɔɪʊæɑɒʌɨʉø]+$/;
+const NASALS = new Set(['m', 'n', 'ŋ', 'ɲ', 'ɳ']);
+function guessClass(sym) {
+  const base = sym.normalize('NFD').replace(/\p{M}/gu, '');
+  if (VOWEL_BASES.test(base)) return 'V';
+  if (NASALS.has(sym)) return 'N';
+  return 'C';
+}
+
+const problem = (level, code, message, extra = {}) => ({ level, code, message, ...extra });
+
+function emptyProfile(name, source) {
+  return {
+    name: name || 'Unnamed', sources: source ? [source] : [],
+    phonemes: { C: [], V: [], N: [] }, classOf: {},
+    freq: new Map(), counts: null, trans: new Map(), bigrams: {},
+    syllable: null, ipa: null, script: null, words: null,
+    parseProblems: [], problems: [],
+  };
+}
+
+function addPhoneme(profile, sym, cls) {
+  if (profile.classOf[sym]) return;
+  profile.classOf[sym] = cls;
+  profile.phonemes[cls].push(sym);
+}
+
+function normalizeMap(map) {
+  const total = [...map.values()].reduce((a, b) => a + b, 0);
+  if (total > 0) for (const [k, v] of map) map.set(k, v / total);
+  return total;
+}
+
+// --- CSV: phoneme,count[,from,to,prob] ---------------------------------------------------
+// The unigram column is the first of frequency/freq/count/value that exists (or prob, when
+// there are no from/to columns); from/to/prob rows are explicit transitions.
+export function profileFromCSV(text, { name, source = 'csv' } = {}) {
+  const profile = emptyProfile(name ?? source.replace(/^.*\//, '').replace(/\.csv$/i, ''), source);
+  const report = (level, code, message, extra) => profile.parseProblems.push(problem(level, code, message, { source, ...extra }));
+  const lines = String(text ?? '').split(/\r?\n/);
+  const headerAt = lines.findIndex(l => l.trim());
+  if (headerAt < 0) { report('error', 'empty', 'File is empty'); return profile; }
+
+  const header = lines[headerAt].split(',').map(h => h.trim().toLowerCase());
+  const col = (...names) => names.map(n => header.indexOf(n)).find(i => i >= 0) ?? -1;
+  const iPhon = col('phoneme', 'symbol', 'sym');
+  const iFrom = col('from'), iTo = col('to');
+  const hasTrans = iFrom >= 0 && iTo >= 0;
+  const iProb = col('prob', 'p');
+  const iFreq = col('frequency', 'freq', 'count', 'value', ...(hasTrans ? [] : ['prob']));
+  const isCount = iFreq >= 0 && ['count', 'value'].includes(header[iFreq]);
+
+  if (iPhon < 0) report('error', 'missing-column', 'No "phoneme" column', { line: headerAt + 1 });
+  if (iPhon >= 0 && iFreq < 0) report('error', 'missing-column', 'No frequency column (frequency, freq, count or value)', { line: headerAt + 1 });
+  if ((iFrom >= 0) !== (iTo >= 0)) report('warning', 'missing-column', `"${iFrom >= 0 ? 'from' : 'to'}" column without its partner; transitions ignored`, { line: headerAt + 1 });
+  if (hasTrans && iProb < 0) report('warning', 'missing-column', 'from/to columns without "prob"; transitions ignored', { line: headerAt + 1 });
+
+  const raw = new Map();
+  const seenUnigram = new Map(), seenTrans = new Map();
+  for (let li = headerAt + 1; li < lines.length; li++) {
+    const line = lines[li];
+    if (!line.trim()) continue;
+    const cols = line.split(',').map(c => c.trim());
+    const lineNo = li + 1;
+    let used = false;
+
+    const sym = iPhon >= 0 && cols[iPhon] ? normalizePhoneme(cols[iPhon]) : '';
+    if (sym && iFreq >= 0) {
+      const v = Number(cols[iFreq]);
+      if (cols[iFreq] === undefined || cols[iFreq] === '' || !Number.isFinite(v) || v < 0) {
+        report('warning', 'bad-number', `"${cols[iFreq] ?? ''}" is not a valid frequency for ${sym}; row skipped`, { line: lineNo, phoneme: sym });
+      } else {
+        if (seenUnigram.has(sym)) report('warning', 'duplicate-row', `${sym} listed again (first on line ${seenUnigram.get(sym)}); values added`, { line: lineNo, phoneme: sym });
+        else seenUnigram.set(sym, lineNo);
+        raw.set(sym, (raw.get(sym) || 0) + v);
+        used = true;
+      }
+    }
+
+    if (hasTrans && iProb >= 0 && (cols[iFrom] || cols[iTo])) {
+      const from = normalizePhoneme(cols[iFrom]), to = normalizePhoneme(cols[iTo]);
+      const p = Number(cols[iProb]);
+      const key = `${from}->${to}`;
+      if (!from || !to) {
+        report('warning', 'bad-row', `Transition needs both ends ("${cols[iFrom] ?? ''}" → "${cols[iTo] ?? ''}"); skipped`, { line: lineNo });
+      } else if (!Number.isFinite(p) || p < 0 || p > 1) {
+        report('warning', 'bad-number', `"${cols[iProb] ?? ''}" is not a probability for ${key}; skipped`, { line: lineNo });
+      } else if (seenTrans.has(key)) {
+        report('warning', 'duplicate-row', `${key} listed again (first on line ${seenTrans.get(key)}); first value kept`, { line: lineNo });
+      } else {
+        seenTrans.set(key, lineNo);
+        profile.trans.set(key, p);
+        used = true;
+      }
+    }
+
+    const triedTrans = hasTrans && (cols[iFrom] || cols[iTo]);
+    if (!used && !sym && !triedTrans) report('warning', 'bad-row', 'Row has no phoneme and no transition; skipped', { line: lineNo });
+  }
+
+  if (isCount) profile.counts = new Map(raw);
+  profile.freq = raw;
+  const total = normalizeMap(profile.freq);
+  if (!isCount && raw.size && Math.abs(total - 1) > SUM_TOLERANCE) {
+    report('warning', 'freq-sum', `Frequencies sum to ${total.toFixed(3)}, not 1; normalized`);
+  }
+
+  // a bare CSV carries no inventory: classify what it mentions
+  const mentioned = new Set([...profile.freq.keys(), ...[...profile.trans.keys()].flatMap(k => k.split('->'))]);
+  mentioned.delete('#');
+  for (const sym of mentioned) addPhoneme(profile, sym, guessClass(sym));
+  profile.guessedClasses = true;
+  return profile;
+}
+
+// --- JSON: { name, phonemes:{C,V,N}, freq:{C:{..}}|{sym:p}, bigrams, trans?, syllable, ... } ----
+export function profileFromJSON(json, { source = 'json' } = {}) {
+  const profile = emptyProfile(json?.name, source);
+  const report = (level, code, message, extra) => profile.parseProblems.push(problem(level, code, message, { source, ...extra }));
+  if (!json || typeof json !== 'object') { report('error', 'empty', 'Not a JSON object'); return profile; }
+
+  for (const cls of CLASSES) {
+    for (const rawSym of json.phonemes?.[cls] || []) {
+      const sym = normalizePhoneme(rawSym);
+      if (!sym) continue;
+      if (profile.classOf[sym]) {
+        report('warning', 'duplicate-phoneme', `${sym} is listed as ${profile.classOf[sym]} and ${cls}; kept as ${profile.classOf[sym]}`, { phoneme: sym });
+        continue;
+      }
+      addPhoneme(profile, sym, cls);
+    }
+  }
+  if (!json.phonemes) report('error', 'missing-field', 'No "phonemes" inventory');
+
+  // freq either per class ({C:{k:.1}}) or flat ({k:.1})
+  const freq = json.freq || {};
+  const flat = CLASSES.some(c => freq[c] && typeof freq[c] === 'object')
+    ? Object.assign({}, ...CLASSES.map(c => freq[c] || {}))
+    : freq;
+  for (const [rawSym, v] of Object.entries(flat)) {
+    const sym = normalizePhoneme(rawSym);
+    if (!Number.isFinite(Number(v)) || Number(v) < 0) {
+      report('warning', 'bad-number', `"${v}" is not a valid frequency for ${sym}; skipped`, { phoneme: sym });
+      continue;
+    }
+    profile.freq.set(sym, (profile.freq.get(sym) || 0) + Number(v));
+  }
+  const total = normalizeMap(profile.freq);
+  if (profile.freq.size && Math.abs(total - 1) > SUM_TOLERANCE) {
+    report('info', 'freq-sum', `Listed frequencies sum to ${total.toFixed(3)}, not 1; normalized`);
+  }
+
+  for (const [key, p] of Object.entries(json.trans || {})) {
+    const [from, to] = key.split('->').map(normalizePhoneme);
+    if (!from || !to || !Number.isFinite(Number(p))) {
+      report('warning', 'bad-row', `Transition "${key}": ${p} skipped`);
+      continue;
+    }
+    profile.trans.set(`${from}->${to}`, Number(p));
+  }
+
+  profile.bigrams = { ...(json.bigrams || {}) };
+  profile.syllable = json.syllable ?? null;
+  profile.ipa = json.ipa ?? null;
+  profile.script = json.script ?? null;
+  profile.words = Array.isArray(json.words) ? json.words : null;
+  return profile;
+}
+
+// JSON or CSV by content
+export function parseProfile(text, { name, source } = {}) {
+  const body = String(text ?? '').trim();
+  if (body.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (err) {
+      const profile = emptyProfile(name, source);
+      profile.parseProblems.push(problem('error', 'bad-json', `Invalid JSON: ${err.message}`, { source }));
+      return profile;
+    }
+    const profile = profileFromJSON(json, { source: source ?? 'json' });
+    if (!json?.name && name) profile.name = name;
+    return profile;
+  }
+  return profileFromCSV(body, { name, source: source ?? 'csv' });
+}
+
+// Layer a data file over a base profile: the base (usually the JSON) keeps its name, inventory
+// and metadata; the overlay's counts replace the unigram frequencies and its transitions are
+// added on top. Overlay phonemes missing from a real inventory are reported, not invented.
+export function mergeProfiles(base, overlay) {
+  const out = {
+    ...base,
+    sources: [...base.sources, ...overlay.sources],
+    phonemes: { C: [...base.phonemes.C], V: [...base.phonemes.V], N: [...base.phonemes.N] },
+    classOf: { ...base.classOf },
+    trans: new Map([...base.trans, ...overlay.trans]),
+    parseProblems: [...base.parseProblems, ...overlay.parseProblems],
+  };
+  if (overlay.freq.size) {
+    out.freq = new Map(overlay.freq);
+    out.counts = overlay.counts ? new Map(overlay.counts) : null;
+  }
+  if (base.guessedClasses) {
+    for (const [sym, cls] of Object.entries(overlay.classOf)) addPhoneme(out, sym, cls);
+  } else {
+    out.guessedClasses = false;
+  }
+  for (const key of ['syllable', 'ipa', 'script', 'words']) out[key] = base[key] ?? overlay[key] ?? null;
+  out.bigrams = { ...overlay.bigrams, ...base.bigrams };
+  return out;
+}
+
+// Parse problems plus consistency checks on the finished profile
+export function validateProfile(profile) {
+  const problems = [...(profile.parseProblems || [])];
+  const source = profile.sources?.join(' + ');
+  const report = (level, code, message, extra) => problems.push(problem(level, code, message, { source, ...extra }));
+
+  const known = profile.classOf || {};
+  if (!Object.keys(known).length) report('error', 'empty-inventory', 'No phonemes in the inventory');
+  if (profile.guessedClasses && Object.keys(known).length) {
+    report('info', 'guessed-class', 'No inventory given; classes guessed from the symbols (vowel letters → V, m n ŋ → N, rest → C)');
+  }
+
+  // CSVs mention phonemes the profile's inventory does not have
+  for (const sym of profile.freq?.keys() || []) {
+    if (!known[sym]) report('warning', 'unknown-phoneme', `${sym} has a frequency but is not in the inventory; the engine ignores it`, { phoneme: sym });
+  }
+  const rows = new Map();
+  for (const [key, p] of profile.trans || []) {
+    const [from, to] = key.split('->');
+    for (const sym of [from, to]) {
+      if (sym !== '#' && !known[sym]) report('warning', 'unknown-phoneme', `Transition ${key} uses ${sym}, which is not in the inventory; ignored`, { phoneme: sym });
+    }
+    rows.set(from, (rows.get(from) || 0) + p);
+  }
+  for (const [from, sum] of rows) {
+    if (sum > 1 + SUM_TOLERANCE) report('warning', 'trans-sum', `Transitions out of ${from} sum to ${sum.toFixed(3)} (> 1); the row will be renormalized`, { phoneme: from });
+  }
+
+  const byFrom = {};
+  for (const [key, p] of Object.entries(profile.bigrams || {})) {
+    const [from, to] = key.split('->');
+    if (![...CLASSES, '#'].includes(from) || ![...CLASSES, '#'].includes(to)) {
+      report('warning', 'bad-bigram', `Class bigram "${key}" should be X->Y over C, V, N, #`);
+      continue;
+    }
+    byFrom[from] = (byFrom[from] || 0) + Number(p);
+  }
+  for (const [from, sum] of Object.entries(byFrom)) {
+    if (sum > 1 + SUM_TOLERANCE) report('warning', 'bigram-sum', `Class bigrams out of ${from} sum to ${sum.toFixed(3)} (> 1)`);
+  }
+
+  const freqSum = [...(profile.freq?.values() || [])].reduce((a, b) => a + b, 0);
+  if (profile.freq?.size && Math.abs(freqSum - 1) > SUM_TOLERANCE) {
+    report('error', 'freq-sum', `Frequencies sum to ${freqSum.toFixed(3)} after normalization`);
+  }
+  return problems;
+}
+
+// Fetch and combine one or more files (first JSON supplies the inventory), then validate.
+// A file that can't be fetched rejects the whole load (network errors already do): content
+// problems are reported on the profile, a missing dataset is the caller's to handle.
+// loadProfile('/limboo.json', '/limboo.csv')
+export async function loadProfile(...urls) {
+  const parts = await Promise.all(urls.map(async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Profile ${url}: HTTP ${res.status}`);
+    return parseProfile(await res.text(), { source: url });
+  }));
+  return combineProfiles(parts);
+}
+
+// Parsed parts of one language (e.g. kham.json + kham.csv) → one validated profile
+export function combineProfiles(parts) {
+  const ordered = [...parts].sort((a, b) => Number(!!a.guessedClasses) - Number(!!b.guessedClasses));
+  const profile = ordered.slice(1).reduce(mergeProfiles, ordered[0]);
+  profile.problems = validateProfile(profile);
+  return profile;
+}
+
+// Bootstrap resample: draw as many tokens as the source counted (multinomial on the counts)
+// and renormalize. Profiles without raw counts have nothing to resample and come back as-is.
+export function resampleProfile(profile, rng) {
+  if (!profile.counts?.size) return profile;
+  const r = makeRng(rng);
+  const syms = [...profile.counts.keys()];
+  const cum = [];
+  let total = 0;
+  for (const s of syms) cum.push(total += profile.counts.get(s));
+  const counts = new Map(syms.map(s => [s, 0]));
+  for (let n = 0; n < Math.round(total); n++) {
+    const u = r() * total;
+    let lo = 0, hi = cum.length - 1;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (cum[mid] > u) hi = mid; else lo = mid + 1; }
+    counts.set(syms[lo], counts.get(syms[lo]) + 1);
+  }
+  const freq = new Map(counts);
+  normalizeMap(freq);
+  return { ...profile, freq, counts };
+}
+
+// Console-friendly one-liners
+export function formatProblems(problems) {
+  return problems.map(p =>
+    `[${p.level}] ${p.code}: ${p.message}${p.source ? ` (${p.source}${p.line ? `:${p.line}` : ''})` : ''}`);
+}
@@ -0,0 +1,125 @@
+// soundchange.js
+// Ordered sound-change rules applied to generated words, in the usual notation:
+//   k > kh / _a        k becomes kh before a
+//   s > h / #_         word-initial s becomes h
+//   V > Ṽ / _N         a vowel before a nasal takes the tilde (ã, ĩ, ũ …)
+//   t > ∅ / _#         final t is lost (∅ or 0 for deletion)
+// C, V and N match any phoneme of that class in the engine's inventory, '#' is the word
+// edge. A class letter carrying diacritics on the right-hand side means "add these marks to
+// the matched segment". Each rule fires once drift alpha reaches its threshold (`at`), so
+// later stages pick up more changes; rules run in list order, each one simultaneously
+// over the whole word. Marked segments the inventory lacks (ẽ in a language without nasal
+// vowels) join a per-run copy of the class table with their base's class, so later rules
+// can match them; the caller's table (the engine's CLASS_OF by default) is left alone.
+import { CLASS_OF, normalizePhoneme, tokenize } from './engine.js';
+
+const CLASS_LETTERS = new Set(['C', 'V', 'N']);
+const NULL_MARKS = new Set(['∅', '0', 'Ø']);
+
+const splitSide = (str) => {
+  const text = String(str ?? '').trim();
+  if (!text || NULL_MARKS.has(text)) return [];
+  return tokenize(text.replace(/\s+/g, ''));
+};
+
+// "V > Ṽ / _N @ 0.4" or { rule: 'V > Ṽ / _N', at: 0.4 }
+export function parseRule(spec) {
+  const source = typeof spec === 'string' ? spec : spec?.rule;
+  if (!source) throw new Error('Sound change: empty rule');
+  let body = source, at = typeof spec === 'object' && Number.isFinite(spec.at) ? spec.at : 0;
+  const atMatch = body.match(/@\s*([0-9.]+)\s*$/);
+  if (atMatch) { at = Number(atMatch[1]); body = body.slice(0, atMatch.index); }
+
+  const [change, env = '_'] = body.split('/');
+  const arrow = change.split(/>|→/);
+  if (arrow.length !== 2) throw new Error(`Sound change "${source}": expected "target > replacement"`);
+  const slots = env.split('_').length - 1;
+  if (slots !== 1) throw new Error(`Sound change "${source}": environment needs exactly one "_" (found ${slots})`);
+
+  const target = splitSide(arrow[0]);
+  if (!target.length) throw new Error(`Sound change "${source}": empty target`);
+  const [left, right] = env.split('_').map(splitSide);
+
+  // class letter + marks on the right-hand side → diacritic applied to the matched segment
+  const rhs = String(arrow[1]).trim().normalize('NFD');
+  const marks = CLASS_LETTERS.has(rhs[0]) ? rhs.slice(1) : '';
+  const replacement = marks ? { marks } : splitSide(arrow[1]);
+
+  return { source: body.trim(), at, target, replacement, left, right };
+}
+
+function matches(pattern, sym, classOf) {
+  if (pattern === '#') return sym === '#';
+  if (CLASS_LETTERS.has(pattern)) return classOf[sym] === pattern;
+  return normalizePhoneme(pattern) === sym;
+}
+
+// Does `pattern` match `segs` leftwards from `pos` (dir -1) or rightwards from it (dir +1)?
+function envMatches(pattern, segs, pos, dir, classOf) {
+  const seq = dir < 0 ? [...pattern].reverse() : pattern;
+  for (let k = 0; k < seq.length; k++) {
+    const i = pos + dir * k;
+    if (!matches(seq[k], segs[i] ?? '#', classOf)) return false;
+    if ((segs[i] ?? '#') === '#' && k < seq.length - 1) return false;
+  }
+  return true;
+}
+
+function addMarks(sym, marks) {
+  const base = sym.normalize('NFD');
+  const missing = [...marks].filter(m => !base.includes(m)).join('');
+  return (base + missing).normalize('NFC');
+}
+
+// One rule over a token array; `cls` is the run's own class table and gains new marked symbols
+function rewrite(tokens, rule, cls) {
+  const segs = ['#', ...tokens, '#'];
+  const out = ['#'];
+  let i = 1;
+  while (i < segs.length - 1) {
+    const n = rule.target.length;
+    const hit = rule.target.every((t, k) => i + k < segs.length - 1 && matches(t, segs[i + k], cls))
+      && envMatches(rule.left, segs, i - 1, -1, cls)
+      && envMatches(rule.right, segs, i + n, 1, cls);
+    if (!hit) { out.push(segs[i++]); continue; }
+    if (rule.replacement.marks) {
+      for (let k = 0; k < n; k++) {
+        const sym = addMarks(segs[i + k], rule.replacement.marks);
+        if (!cls[sym]) cls[sym] = cls[segs[i + k]];
+        out.push(sym);
+      }
+    } else {
+      out.push(...rule.replacement.map(normalizePhoneme));
+    }
+    i += n;
+  }
+  return out.slice(1);
+}
+
+// One rule over a token array (no syllable marks); conditions read the rule's input
+export function applyRule(tokens, rule, classOf = CLASS_OF) {
+  return rewrite(tokens, rule, { ...classOf });
+}
+
+// Run the ordered list at drift alpha; history lists every rule that fired, changed or not
+export function applySoundChanges(word, rules, alpha = 1, classOf = CLASS_OF) {
+  const parsed = rules.map(r => (r && r.target ? r : parseRule(r)));
+  const input = (Array.isArray(word) ? word.map(normalizePhoneme) : tokenize(word)).filter(s => s !== '#');
+  const cls = { ...classOf };
+  let tokens = input;
+  const history = [];
+  for (const rule of parsed) {
+    if (alpha < rule.at) continue;
+    const after = rewrite(tokens, rule, cls);
+    const changed = after.join('\u0001') !== tokens.join('\u0001');
+    history.push({ rule: rule.source, at: rule.at, before: tokens.join(''), after: after.join(''), changed });
+    tokens = after;
+  }
+  return { input: input.join(''), output: tokens.join(''), letters: tokens, history };
+}
+
+// Post-process a generateSequence / generateSequenceTrace result
+export function evolveSequence(words, rules, alpha = 1) {
+  const parsed = rules.map(r => (r && r.target ? r : parseRule(r)));
+  return words.map(w => applySoundChanges(w?.letters ?? w, parsed, alpha));
+}
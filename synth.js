@@ -0,0 +1,230 @@
+// synth.js
+// Small formant synthesizer for generated words: a glottal pulse train (or noise, when
+// whispering) through cascaded resonators for vowels, nasals and approximants, and filtered
+// noise for stop bursts, aspiration and sibilants. No Web Audio here — everything renders to
+// a Float32Array, so it works the same in Node (tests, batch export) and in the browser:
+//   renderWord('kambok')           → { samples, sampleRate, duration, segments }
+//   renderSequence(['kam', 'bok'])  words separated by short pauses
+//   encodeWAV(samples, sampleRate)  → Uint8Array, 16-bit mono PCM
+import { CLASS_OF, normalizePhoneme, tokenize, makeRng } from './engine.js';
+
+// Per-phoneme parameters. Formants are F1..F3 in Hz; burst/noise are band centres.
+export const PHONE_TABLE = {
+  a:  { type: 'vowel', formants: [730, 1090, 2440] },
+  e:  { type: 'vowel', formants: [530, 1840, 2480] },
+  i:  { type: 'vowel', formants: [270, 2290, 3010] },
+  o:  { type: 'vowel', formants: [570, 840, 2410] },
+  u:  { type: 'vowel', formants: [300, 870, 2240] },
+
+  m:  { type: 'nasal', formants: [250, 1000, 2200] },
+  n:  { type: 'nasal', formants: [250, 1400, 2300] },
+  'ŋ': { type: 'nasal', formants: [250, 2000, 2700] },
+
+  p:  { type: 'stop', burst: 900 },
+  b:  { type: 'stop', burst: 900, voiced: true },
+  ph: { type: 'stop', burst: 900, aspirated: true },
+  t:  { type: 'stop', burst: 3600 },
+  d:  { type: 'stop', burst: 3600, voiced: true },
+  th: { type: 'stop', burst: 3600, aspirated: true },
+  k:  { type: 'stop', burst: 1800 },
+  g:  { type: 'stop', burst: 1800, voiced: true },
+  kh: { type: 'stop', burst: 1800, aspirated: true },
+
+  ts:  { type: 'affricate', burst: 3600, noise: 6000, bandwidth: 2500 },
+  tsh: { type: 'affricate', burst: 3600, noise: 6000, bandwidth: 2500, aspirated: true },
+  dz:  { type: 'affricate', burst: 3600, noise: 6000, bandwidth: 2500, voiced: true },
+
+  s:  { type: 'fricative', noise: 6000, bandwidth: 2500 },
+  sh: { type: 'fricative', noise: 3000, bandwidth: 1500 },
+  h:  { type: 'fricative', noise: 1500, bandwidth: 3000, gain: 0.35 },
+
+  r:  { type: 'approximant', formants: [450, 1300, 1600] },
+  l:  { type: 'approximant', formants: [360, 1300, 2600] },
+  y:  { type: 'approximant', formants: [270, 2200, 3000] },
+  w:  { type: 'approximant', formants: [300, 700, 2200] },
+};
+
+// Segment timings (ms) at rate 1
+const DURATION = {
+  vowel: 130, nasal: 80, approximant: 60, fricative: 110,
+  closure: 55, burst: 12, aspiration: 55, frication: 70,
+};
+const BANDWIDTHS = [80, 90, 120];
+const FALLBACK = {
+  V: { type: 'vowel', formants: [500, 1500, 2500] },   // schwa
+  N: PHONE_TABLE.n,
+  C: { type: 'stop', burst: 2000 },
+};
+
+// Table entry for a phoneme: exact, then without diacritics (ã → a, nasalized), then by class
+export function phoneParams(sym, table = PHONE_TABLE, classOf = CLASS_OF) {
+  const s = normalizePhoneme(sym);
+  if (table[s]) return table[s];
+  const nfd = s.normalize('NFD');
+  const base = nfd.replace(/\p{M}/gu, '');
+  if (table[base]) return { ...table[base], nasalized: nfd.includes('̃') };
+  return FALLBACK[classOf[s]] || FALLBACK.C;
+}
+
+// Two-pole resonator (Klatt): y[n] = A·x[n] + B·y[n−1] + C·y[n−2]
+function resonator(freq, bw, sampleRate) {
+  const T = 1 / sampleRate;
+  const C = -Math.exp(-2 * Math.PI * bw * T);
+  const B = 2 * Math.exp(-Math.PI * bw * T) * Math.cos(2 * Math.PI * freq * T);
+  const A = 1 - B - C;
+  let y1 = 0, y2 = 0;
+  return (x) => { const y = A * x + B * y1 + C * y2; y2 = y1; y1 = y; return y; };
+}
+
+// Excitation: glottal pulses softened by a one-pole low-pass, or white noise when whispering
+function source({ sampleRate, f0, whisper, rng }) {
+  let phase = 0, lp = 0;
+  return (n, len) => {
+    if (whisper) return (rng() * 2 - 1) * 0.6;
+    const f = f0 * (1 - 0.15 * n / Math.max(1, len)); // gentle declination over the segment
+    phase += f / sampleRate;
+    let pulse = 0;
+    if (phase >= 1) { phase -= 1; pulse = 1; }
+    lp += 0.35 * (pulse - lp);
+    return lp + (rng() * 2 - 1) * 0.02;
+  };
+}
+
+function envelope(n, len, ramp) {
+  return Math.min(1, n / ramp, (len - n) / ramp);
+}
+
+// Resonant (voiced) segment: vowels, nasals, approximants
+function renderResonant(out, p, len, ctx) {
+  const formants = p.formants.map((f, i) => resonator(f, BANDWIDTHS[i] * (p.type === 'nasal' ? 1.8 : 1), ctx.sampleRate));
+  const nasalPole = (p.type === 'nasal' || p.nasalized) ? resonator(250, 100, ctx.sampleRate) : null;
+  const voice = source(ctx);
+  const gain = p.type === 'vowel' ? 1 : p.type === 'nasal' ? 0.45 : 0.6;
+  const ramp = Math.max(1, Math.round(0.012 * ctx.sampleRate));
+  for (let n = 0; n < len; n++) {
+    const x = voice(n, len);
+    let y = x;
+    for (const r of formants) y = r(y);
+    if (nasalPole) y = p.type === 'nasal' ? nasalPole(x) * 0.7 + y * 0.3 : y * 0.7 + nasalPole(x) * 0.3;
+    out.push(y * gain * envelope(n, len, ramp));
+  }
+}
+
+// Band-passed noise (two resonators in series around `centre`)
+function renderNoise(out, centre, bw, len, gain, ctx) {
+  const r1 = resonator(centre, bw, ctx.sampleRate), r2 = resonator(centre, bw, ctx.sampleRate);
+  const ramp = Math.max(1, Math.round(0.004 * ctx.sampleRate));
+  for (let n = 0; n < len; n++) out.push(r2(r1(ctx.rng() * 2 - 1)) * gain * envelope(n, len, ramp));
+}
+
+// Closure: silence, or a low voice bar for voiced stops
+function renderClosure(out, voiced, len, ctx) {
+  const bar = resonator(180, 60, ctx.sampleRate);
+  const voice = source(ctx);
+  for (let n = 0; n < len; n++) out.push(voiced && !ctx.whisper ? bar(voice(n, len)) * 0.15 : 0);
+}
+
+function renderPhone(out, sym, ctx) {
+  const p = phoneParams(sym, ctx.table);
+  const ms = (x) => Math.round(x / ctx.rate * ctx.sampleRate / 1000);
+  switch (p.type) {
+    case 'vowel':
+    case 'nasal':
+    case 'approximant':
+      renderResonant(out, p, ms(DURATION[p.type]), ctx);
+      break;
+    case 'fricative':
+      renderNoise(out, p.noise, p.bandwidth, ms(DURATION.fricative), p.gain ?? 0.8, ctx);
+      break;
+    case 'affricate':
+      renderClosure(out, p.voiced, ms(DURATION.closure * 0.8), ctx);
+      renderNoise(out, p.burst, 1500, ms(DURATION.burst), 1, ctx);
+      renderNoise(out, p.noise, p.bandwidth, ms(DURATION.frication), 0.7, ctx);
+      if (p.aspirated) renderNoise(out, 1500, 3000, ms(DURATION.aspiration), 0.35, ctx);
+      break;
+    default: // stop
+      renderClosure(out, p.voiced, ms(DURATION.closure), ctx);
+      renderNoise(out, p.burst, 1200, ms(DURATION.burst), 1, ctx);
+      if (p.aspirated) renderNoise(out, 1500, 3000, ms(DURATION.aspiration), 0.35, ctx);
+  }
+}
+
+const lettersOf = (word) =>
+  (Array.isArray(word?.letters) ? word.letters
+    : Array.isArray(word) ? word.map(normalizePhoneme)
+    : tokenize(word)).filter(s => s !== '#');
+
+// word: a string, a letter array or a generateSequenceTrace entry.
+// Options: sampleRate, f0 (Hz), rate (speed factor), whisper (noise excitation), gain (peak),
+// rng (seed or function — noise is seeded so a render is reproducible), table.
+export function renderWord(word, { sampleRate = 22050, f0 = 130, rate = 1, whisper = false, gain = 0.9, rng = 1, table = PHONE_TABLE } = {}) {
+  const ctx = { sampleRate, f0, rate, whisper, table, rng: makeRng(rng) };
+  const out = [];
+  const segments = [];
+  for (const sym of lettersOf(word)) {
+    const start = out.length;
+    renderPhone(out, sym, ctx);
+    segments.push({ phoneme: sym, start: start / sampleRate, end: out.length / sampleRate });
+  }
+  const samples = Float32Array.from(out);
+  let peak = 0;
+  for (const v of samples) peak = Math.max(peak, Math.abs(v));
+  if (peak > 0) for (let i = 0; i < samples.length; i++) samples[i] *= gain / peak;
+  return { samples, sampleRate, duration: samples.length / sampleRate, segments };
+}
+
+export function renderSequence(words, { pause = 0.18, ...opts } = {}) {
+  const renders = words.map(w => renderWord(w, opts));
+  const sampleRate = renders[0]?.sampleRate ?? opts.sampleRate ?? 22050;
+  const gap = Math.round(pause * sampleRate);
+  const total = renders.reduce((a, r) => a + r.samples.length, 0) + gap * Math.max(0, renders.length - 1);
+  const samples = new Float32Array(total);
+  const segments = [];
+  let at = 0;
+  renders.forEach((r, i) => {
+    samples.set(r.samples, at);
+    const offset = at / sampleRate;
+    segments.push(...r.segments.map(s => ({ ...s, word: i, start: s.start + offset, end: s.end + offset })));
+    at += r.samples.length + gap;
+  });
+  return { samples, sampleRate, duration: total / sampleRate, segments };
+}
+
+// 16-bit PCM mono WAV. `comment` (any Unicode, stored as UTF-8) goes into a LIST/INFO
+// ICMT chunk after the samples, where players and editors show it as the file comment.
+export function encodeWAV(samples, sampleRate = 22050, { comment = '' } = {}) {
+  const note = comment ? new TextEncoder().encode(comment + '\0') : null;
+  const noteSize = note ? note.length + (note.length & 1) : 0; // chunks are word-aligned
+  const info = note ? 12 + 8 + noteSize : 0;                    // LIST + size + INFO, ICMT + size + text
+  const dataEnd = 44 + samples.length * 2;
+  const bytes = new Uint8Array(dataEnd + (dataEnd & 1) + info);
+  const view = new DataView(bytes.buffer);
+  const text = (at, s) => { for (let i = 0; i < s.length; i++) view.setUint8(at + i, s.charCodeAt(i)); };
+  text(0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true);              // block align
+  view.setUint16(34, 16, true);             // bits per sample
+  text(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+  }
+  if (note) {
+    const at = dataEnd + (dataEnd & 1);
+    text(at, 'LIST');
+    view.setUint32(at + 4, info - 8, true);
+    text(at + 8, 'INFO');
+    text(at + 12, 'ICMT');
+    view.setUint32(at + 16, note.length, true);
+    bytes.set(note, at + 20);
+  }
+  return bytes;
+}
@@ -1,29 +1,32 @@
 // terrain.js
 import * as THREE from "three";
+import { profileFromJSON } from "./profile.js";
 
 // --- helpers ---
 function safe(v, d=0) { return (v===undefined || isNaN(v)) ? d : v; }
-function sum(obj) { return Object.values(obj||{}).reduce((a,b)=>a+Number(b||0),0); }
 
-// Normalize simple stats from your JSON (works even if some sections are missing)
-export function analyzeLanguage(langJson){
-  const freqC = langJson?.freq?.C || {};
-  const freqV = langJson?.freq?.V || {};
-  const freqN = langJson?.freq?.N || {};
-  const total = sum(freqC)+sum(freqV)+sum(freqN) || 1;
+// High-level traits from a LanguageProfile (see profile.js); a raw JSON profile is converted
+export function analyzeLanguage(lang){
+  const profile = (lang?.freq instanceof Map) ? lang : profileFromJSON(lang);
+  const mass = { C: 0, V: 0, N: 0 };
+  for (const [sym, p] of profile.freq) {
+    const cls = profile.classOf[sym];
+    if (cls) mass[cls] += p;
+  }
+  const total = mass.C + mass.V + mass.N || 1;
 
-  const pc = (sum(freqC)/total); // consonant mass
-  const pv = (sum(freqV)/total); // vowel mass
-  const pn = (sum(freqN)/total); // nasal mass
+  const pc = mass.C/total; // consonant mass
+  const pv = mass.V/total; // vowel mass
+  const pn = mass.N/total; // nasal mass
 
-  const big = langJson?.bigrams || {};
+  const big = profile.bigrams || {};
   const cv = safe(big["C->V"], .5);
   const cc = safe(big["C->C"], .1);
   const vv = safe(big["V->V"], .1);
 
   // high-level “traits” 0..1
   return {
-    name: langJson?.name || "Unknown",
+    name: profile.name || "Unknown",
     consonance: THREE.MathUtils.clamp(pc, 0, 1),
     vocality:   THREE.MathUtils.clamp(pv, 0, 1),
     nasality:   THREE.MathUtils.clamp(pn, 0, 1),
@@ -0,0 +1,26 @@
+// terrain.worker.js
+// Runs heightfield.js off the main thread. Protocol:
+//   → { type: 'grid', grid, index }                          new terrain mesh (index copied once)
+//   → { type: 'job', id, grid, params, positions, normals, colors }
+//   ← { id, grid, heights, positions, normals, colors, box }
+// The Float32Arrays travel as transferables both ways: the main thread hands over its spare
+// buffers and gets them back filled, so nothing is copied or reallocated per job.
+import { computeTerrain } from './heightfield.js';
+
+let grid = -1, index = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'grid') {
+    grid = data.grid;
+    index = data.index;
+    return;
+  }
+  if (data.type !== 'job') return;
+  const { id, params, positions, normals, colors } = data;
+  // a job for a mesh that has since been replaced: hand the buffers straight back
+  const box = (data.grid === grid) ? computeTerrain({ positions, normals, colors }, index, params) : null;
+  self.postMessage(
+    { id, grid: data.grid, heights: params.heights !== false, positions, normals, colors, box },
+    [positions.buffer, normals.buffer, colors.buffer]
+  );
+};
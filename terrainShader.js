@@ -0,0 +1,349 @@
+// terrainShader.js
+// The terrain field on the GPU: a MeshStandardMaterial whose vertex stage evaluates the same
+// noise, class-score blend, regional drift, elevation ramp and overlays as heightfield.js.
+// Every input is a uniform, so a slider move is a uniform write; the geometry is a flat grid
+// whose Y only carries offsets (pulse, audio) added on top of the field. Colours are computed
+// per vertex, as the CPU path does, and multiply the vertex colour attribute.
+//   createTerrainMaterial(grid, opts)          grid: { width, depth, segmentsX, segmentsZ }
+//   updateTerrainUniforms(material, params, extra)
+//     params: terrainParams() (see heightfield.js), extra: { classes, ranges }
+//   updateUncertaintyUniforms(material, band, opts)   bootstrap spread tint (see main.js)
+// Heights match terrainSampler(params) to float precision; that is what the CPU reads back.
+import * as THREE from 'three';
+import { CLASS_NAMES } from './features.js';
+import { PERLIN_PERMUTATION, seedOffset, HEAT_DEFAULTS } from './heightfield.js';
+
+export const MAX_LANGS = 8;
+export const UNCERTAIN_STEPS = 33; // samples of the spread over regional t (0..1)
+const MAX_REGION = 8;
+const MAX_STOPS = 8;
+const NCLASS = CLASS_NAMES.length;
+
+const TERRAIN_PARS = /* glsl */`
+#define MAX_LANGS ${MAX_LANGS}
+#define MAX_REGION ${MAX_REGION}
+#define MAX_STOPS ${MAX_STOPS}
+#define NCLASS ${NCLASS}
+#define UNCERTAIN_STEPS ${UNCERTAIN_STEPS}
+
+uniform sampler2D uPerm;
+uniform vec2  uSeedOffset;
+uniform float uNoiseScale, uHeightScale, uRidgeExp, uDataScale, uFallback, uNormalStep;
+
+uniform int   uLangCount;
+uniform float uBlend[MAX_LANGS];
+uniform float uClassScore[MAX_LANGS * NCLASS];
+uniform float uClassWeight[NCLASS], uClassBase[NCLASS], uClassBoost[NCLASS], uClassNeutral[NCLASS];
+
+uniform int   uRegionCount;
+uniform vec3  uRegion[MAX_REGION]; // x, z, t
+uniform float uRegionAlpha;
+
+uniform int   uStopCount;
+uniform float uStopT[MAX_STOPS];
+uniform vec3  uStopColor[MAX_STOPS];
+uniform vec2  uHeightRange;
+uniform float uWidthTint, uTintRadius;
+uniform vec2  uTintCenter;
+
+uniform int   uOverlay; // 0 none, 1 data influence, 2 transition heat
+uniform vec3  uInfluenceColor;
+uniform float uInfluenceAmount;
+uniform vec3  uHeatLo, uHeatHi;
+uniform vec2  uHeatRange;
+uniform float uHeatEps, uHeatIntensity, uHeatGamma, uHeatThreshold;
+
+uniform float uUncertainty; // colour overlay strength, 0 = off
+uniform vec3  uUncertainColor;
+uniform float uUncertainBand[UNCERTAIN_STEPS], uUncertainFlat; // spread by regional t; without anchors
+
+// --- improved Perlin noise (perlinNoise in heightfield.js) ---
+int perm(int i) { return int(texelFetch(uPerm, ivec2(i & 255, 0), 0).r * 255.0 + 0.5); }
+
+float grad(int hash, vec3 p) {
+  int h = hash & 15;
+  float u = h < 8 ? p.x : p.y;
+  float v = h < 4 ? p.y : (h == 12 || h == 14) ? p.x : p.z;
+  return ((h & 1) == 0 ? u : -u) + ((h & 2) == 0 ? v : -v);
+}
+
+float improvedNoise(vec3 p) {
+  vec3 fl = floor(p);
+  ivec3 I = ivec3(fl) & 255;
+  vec3 f = p - fl, g = f - 1.0;
+  vec3 w = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+  int A = perm(I.x) + I.y,     AA = perm(A) + I.z, AB = perm(A + 1) + I.z;
+  int B = perm(I.x + 1) + I.y, BA = perm(B) + I.z, BB = perm(B + 1) + I.z;
+  return mix(
+    mix(mix(grad(perm(AA), f),                     grad(perm(BA), vec3(g.x, f.y, f.z)), w.x),
+        mix(grad(perm(AB), vec3(f.x, g.y, f.z)),   grad(perm(BB), vec3(g.x, g.y, f.z)), w.x), w.y),
+    mix(mix(grad(perm(AA + 1), vec3(f.x, f.y, g.z)), grad(perm(BA + 1), vec3(g.x, f.y, g.z)), w.x),
+        mix(grad(perm(AB + 1), vec3(f.x, g.y, g.z)), grad(perm(BB + 1), g), w.x), w.y),
+    w.z);
+}
+
+// --- class height of one blend vertex (dataHeightFromScores in main.js) ---
+float langHeight(int i) {
+  float h = 0.0;
+  for (int c = 0; c < NCLASS; c++) {
+    h += uClassScore[i * NCLASS + c] * (uClassBase[c] + uClassBoost[c] * (uClassWeight[c] - uClassNeutral[c]));
+  }
+  return h;
+}
+
+// Inverse-distance² mix of the anchors' t; −1 without anchors
+float regionalT(vec2 xz) {
+  if (uRegionCount == 0) return -1.0;
+  float num = 0.0, den = 0.0;
+  for (int i = 0; i < MAX_REGION; i++) {
+    if (i >= uRegionCount) break;
+    vec2 d = xz - uRegion[i].xy;
+    float w = 1.0 / max(1e-3, dot(d, d));
+    num += w * uRegion[i].z;
+    den += w;
+  }
+  return den > 0.0 ? num / den : -1.0;
+}
+
+float terrainHeight(vec2 xz) {
+  vec2 n = xz * uNoiseScale;
+  float n1 = improvedNoise(vec3(n.x + uSeedOffset.x, 0.0, n.y + uSeedOffset.y));
+  float n2 = improvedNoise(vec3(n.x * 2.03 + uSeedOffset.x, 0.0, n.y * 2.03 + uSeedOffset.y)) * 0.5;
+  float n3 = improvedNoise(vec3(n.x * 4.07 + uSeedOffset.x, 0.0, n.y * 4.07 + uSeedOffset.y)) * 0.25;
+  float r = (n1 + n2 + n3) / 1.75;
+  r = sign(r) * pow(abs(r), uRidgeExp);
+
+  float hG = 0.0;
+  for (int i = 0; i < MAX_LANGS; i++) {
+    if (i >= uLangCount) break;
+    hG += uBlend[i] * langHeight(i);
+  }
+  float hA = langHeight(0), hD = langHeight(1) - hA;
+  float tR = regionalT(xz);
+  float k = tR < 0.0 ? 0.0 : uRegionAlpha;
+  tR = max(tR, 0.0);
+  return r * uHeightScale + (hG + k * (hA + tR * hD - hG) + uFallback) * uDataScale;
+}
+
+vec3 terrainNormal(vec2 xz) {
+  float e = uNormalStep;
+  float hx = terrainHeight(xz + vec2(e, 0.0)) - terrainHeight(xz - vec2(e, 0.0));
+  float hz = terrainHeight(xz + vec2(0.0, e)) - terrainHeight(xz - vec2(0.0, e));
+  return normalize(vec3(-hx, 2.0 * e, -hz));
+}
+
+vec3 sampleRamp(float t) {
+  int last = uStopCount - 1;
+  if (t >= uStopT[last]) return uStopColor[last];
+  for (int i = 0; i < MAX_STOPS - 1; i++) {
+    if (i >= last) break;
+    if (t >= uStopT[i] && t <= uStopT[i + 1]) {
+      return mix(uStopColor[i], uStopColor[i + 1], (t - uStopT[i]) / (uStopT[i + 1] - uStopT[i]));
+    }
+  }
+  return uStopColor[0];
+}
+
+float hue2rgb(float p, float q, float t) {
+  t = fract(t);
+  if (t < 1.0 / 6.0) return p + (q - p) * 6.0 * t;
+  if (t < 0.5) return q;
+  if (t < 2.0 / 3.0) return p + (q - p) * 6.0 * (2.0 / 3.0 - t);
+  return p;
+}
+
+vec3 hsl(float h, float s, float l) {
+  float p = l <= 0.5 ? l * (1.0 + s) : l + s - l * s;
+  float q = 2.0 * l - p;
+  return vec3(hue2rgb(q, p, h + 1.0 / 3.0), hue2rgb(q, p, h), hue2rgb(q, p, h - 1.0 / 3.0));
+}
+
+// heatSensitivityAt in heightfield.js
+float heatSensitivity(vec2 xz) {
+  float tR = regionalT(xz);
+  float k = tR < 0.0 ? 0.0 : uRegionAlpha;
+  tR = max(tR, 0.0);
+  float w[MAX_LANGS], H[MAX_LANGS];
+  for (int i = 0; i < MAX_LANGS; i++) {
+    if (i >= uLangCount) break;
+    float r = i == 0 ? 1.0 - tR : i == 1 ? tR : 0.0;
+    w[i] = mix(uBlend[i], r, k);
+    H[i] = langHeight(i);
+  }
+  float sens = 0.0;
+  for (int a = 0; a < MAX_LANGS; a++) {
+    if (a >= uLangCount) break;
+    for (int b = a + 1; b < MAX_LANGS; b++) {
+      if (b >= uLangCount) break;
+      float dw = min(uHeatEps, w[a]) + min(uHeatEps, w[b]);
+      sens = max(sens, dw * abs(H[a] - H[b]));
+    }
+  }
+  return sens;
+}
+
+// The data height only depends on position through the regional t, so its bootstrap spread is
+// a table over t, linear between samples
+float uncertaintyAt(vec2 xz) {
+  float tR = regionalT(xz);
+  if (tR < 0.0) return uUncertainFlat;
+  float f = clamp(tR, 0.0, 1.0) * float(UNCERTAIN_STEPS - 1);
+  int i = int(min(floor(f), float(UNCERTAIN_STEPS - 2)));
+  return mix(uUncertainBand[i], uUncertainBand[i + 1], f - float(i));
+}
+
+vec3 terrainColor(vec2 xz, float h) {
+  vec3 c = sampleRamp(clamp((h - uHeightRange.x) / max(uHeightRange.y - uHeightRange.x, 1e-6), 0.0, 1.0));
+  if (uWidthTint > 0.5) {
+    float r = length(xz - uTintCenter) / uTintRadius;
+    c = mix(c, hsl(0.58 + 0.1 * r, 0.45, 0.5), 0.22);
+  }
+  if (uOverlay == 1) {
+    c = mix(c, uInfluenceColor, uInfluenceAmount);
+  } else if (uOverlay == 2) {
+    float t = (heatSensitivity(xz) - uHeatRange.x) / max(1e-6, uHeatRange.y - uHeatRange.x);
+    t = clamp(t, 0.0, 1.0);
+    if (t >= uHeatThreshold) {
+      t = pow(t, uHeatGamma);
+      vec3 o = mix(uHeatLo, uHeatHi, t) * t * uHeatIntensity;
+      c = 1.0 - (1.0 - c) * (1.0 - o);
+    }
+  }
+  if (uUncertainty > 0.0) {
+    float l = (c.r + c.g + c.b) / 3.0;
+    c = mix(mix(c, vec3(l), uUncertainty), uUncertainColor, uUncertainty * uncertaintyAt(xz));
+  }
+  return c;
+}
+`;
+
+function permutationTexture() {
+  const tex = new THREE.DataTexture(PERLIN_PERMUTATION, 256, 1, THREE.RedFormat, THREE.UnsignedByteType);
+  tex.magFilter = tex.minFilter = THREE.NearestFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+export function createTerrainMaterial({ width, depth, segmentsX, segmentsZ }, opts = {}) {
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, ...opts });
+  const zeros = (n) => new Array(n).fill(0);
+  const uniforms = {
+    uPerm: { value: permutationTexture() },
+    uSeedOffset: { value: new THREE.Vector2() },
+    uNoiseScale: { value: 0 }, uHeightScale: { value: 0 }, uRidgeExp: { value: 1 },
+    uDataScale: { value: 0 }, uFallback: { value: 0 },
+    uNormalStep: { value: Math.min(width / segmentsX, depth / segmentsZ) },
+    uLangCount: { value: 0 },
+    uBlend: { value: zeros(MAX_LANGS) },
+    uClassScore: { value: zeros(MAX_LANGS * NCLASS) },
+    uClassWeight: { value: zeros(NCLASS) }, uClassBase: { value: zeros(NCLASS) },
+    uClassBoost: { value: zeros(NCLASS) }, uClassNeutral: { value: zeros(NCLASS) },
+    uRegionCount: { value: 0 },
+    uRegion: { value: Array.from({ length: MAX_REGION }, () => new THREE.Vector3()) },
+    uRegionAlpha: { value: 0 },
+    uStopCount: { value: 1 },
+    uStopT: { value: zeros(MAX_STOPS) },
+    uStopColor: { value: Array.from({ length: MAX_STOPS }, () => new THREE.Color()) },
+    uHeightRange: { value: new THREE.Vector2(0, 1) },
+    uWidthTint: { value: 0 },
+    uTintCenter: { value: new THREE.Vector2() },
+    uTintRadius: { value: Math.hypot(width / 2, depth / 2) || 1 },
+    uOverlay: { value: 0 },
+    uInfluenceColor: { value: new THREE.Color() }, uInfluenceAmount: { value: 0 },
+    uHeatLo: { value: new THREE.Color() }, uHeatHi: { value: new THREE.Color() },
+    uHeatRange: { value: new THREE.Vector2() },
+    uHeatEps: { value: HEAT_DEFAULTS.eps }, uHeatIntensity: { value: HEAT_DEFAULTS.intensity },
+    uHeatGamma: { value: HEAT_DEFAULTS.gamma }, uHeatThreshold: { value: HEAT_DEFAULTS.threshold },
+    uUncertainty: { value: 0 },
+    uUncertainColor: { value: new THREE.Color() },
+    uUncertainBand: { value: zeros(UNCERTAIN_STEPS) },
+    uUncertainFlat: { value: 0 },
+  };
+  material.userData.terrainUniforms = uniforms;
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${TERRAIN_PARS}`)
+      .replace('#include <color_vertex>', `#include <color_vertex>
+  float terrainY = terrainHeight(position.xz);
+  vColor.rgb *= terrainColor(position.xz, terrainY);`)
+      .replace('#include <beginnormal_vertex>', 'vec3 objectNormal = terrainNormal(position.xz);')
+      .replace('#include <begin_vertex>', 'vec3 transformed = vec3(position.x, position.y + terrainY, position.z);');
+  };
+  material.customProgramCacheKey = () => 'terrain-field';
+  return material;
+}
+
+// extra.classes: { scores: [classScores per blend vertex] | null, blend, weights, height }
+//   (weights = CONFIG.UI.weights, height = CLASS_HEIGHT)
+// extra.ranges: estimateRanges(params, ..) — ramp and heat normalization
+export function updateTerrainUniforms(material, p, { classes, ranges } = {}) {
+  const u = material.userData.terrainUniforms;
+  u.uSeedOffset.value.fromArray(seedOffset(p.seed));
+  u.uNoiseScale.value = p.noiseScale;
+  u.uHeightScale.value = p.heightScale;
+  u.uRidgeExp.value = THREE.MathUtils.lerp(1.0, 0.65, p.ridgeBias);
+  u.uDataScale.value = p.heightScale * (p.influence * 4.0);
+  u.uFallback.value = p.fallback || 0;
+
+  const scores = classes?.scores || [];
+  if (scores.length > MAX_LANGS) console.warn(`[TERRAIN] shader blends the first ${MAX_LANGS} of ${scores.length} languages`);
+  u.uLangCount.value = Math.min(scores.length, MAX_LANGS);
+  u.uBlend.value.fill(0);
+  u.uClassScore.value.fill(0);
+  scores.slice(0, MAX_LANGS).forEach((s, i) => {
+    u.uBlend.value[i] = classes.blend[i] || 0;
+    CLASS_NAMES.forEach((name, c) => { u.uClassScore.value[i * NCLASS + c] = s[name] || 0; });
+  });
+  CLASS_NAMES.forEach((name, c) => {
+    const { base = 0, boost = 0, neutral = 1 } = classes?.height?.[name] || {};
+    u.uClassWeight.value[c] = classes?.weights?.[name] ?? neutral;
+    u.uClassBase.value[c] = base;
+    u.uClassBoost.value[c] = boost;
+    u.uClassNeutral.value[c] = neutral;
+  });
+
+  const points = (p.regional?.points || []).slice(0, MAX_REGION);
+  u.uRegionCount.value = points.length;
+  points.forEach(({ x, z, t }, i) => u.uRegion.value[i].set(x, z, t));
+  u.uRegionAlpha.value = p.regional?.alpha ?? 0.6;
+
+  const stops = p.colors.stops.slice(0, MAX_STOPS);
+  u.uStopCount.value = stops.length;
+  stops.forEach(({ t, rgb }, i) => {
+    u.uStopT.value[i] = t;
+    u.uStopColor.value[i].fromArray(rgb);
+  });
+  u.uWidthTint.value = p.colors.widthTint ? 1 : 0;
+  if (ranges) {
+    u.uHeightRange.value.fromArray(ranges.height);
+    u.uHeatRange.value.fromArray(ranges.heat);
+  }
+
+  const o = p.overlay;
+  u.uOverlay.value = o?.kind === 'influence' ? 1 : o?.kind === 'heat' ? 2 : 0;
+  if (o?.kind === 'influence') {
+    u.uInfluenceColor.value.fromArray(o.rgb);
+    u.uInfluenceAmount.value = o.amount;
+  } else if (o?.kind === 'heat') {
+    const h = { ...HEAT_DEFAULTS, ...o };
+    u.uHeatLo.value.fromArray(h.lo);
+    u.uHeatHi.value.fromArray(h.hi);
+    u.uHeatEps.value = h.eps;
+    u.uHeatIntensity.value = h.intensity;
+    u.uHeatGamma.value = h.gamma;
+    u.uHeatThreshold.value = h.threshold;
+  }
+}
+
+// band: spread (0..1) at UNCERTAIN_STEPS evenly spaced regional t, or null to switch the tint
+// off; flat: the spread where there are no regional anchors
+export function updateUncertaintyUniforms(material, band, { flat = 0, strength = 0.85, color } = {}) {
+  const u = material.userData.terrainUniforms;
+  u.uUncertainty.value = band ? strength : 0;
+  if (!band) return;
+  for (let i = 0; i < UNCERTAIN_STEPS; i++) u.uUncertainBand.value[i] = band[i] ?? 0;
+  u.uUncertainFlat.value = flat;
+  if (color) u.uUncertainColor.value.copy(color);
+}
@@ -0,0 +1,40 @@
+// Trigram anchors: a profile's word list should change what the engine generates and the
+// trace should show order-3 steps. Run with `node --test test/`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseProfile, combineProfiles } from '../profile.js';
+import {
+  buildTransitionMatrix, trainNgram, loadInventory, setInventory, setAnchors,
+  setSyllableTemplates, generateSequenceTrace,
+} from '../engine.js';
+
+const SEED = 1;
+const WORDS = 40;
+
+const load = (name) => {
+  const read = (ext) => parseProfile(readFileSync(new URL(`../${name}.${ext}`, import.meta.url), 'utf8'), { source: `${name}.${ext}` });
+  return combineProfiles([read('json'), read('csv')]);
+};
+
+const profiles = ['limboo', 'bhutia'].map(load);
+setInventory(loadInventory(...profiles.map(lang => lang.phonemes)));
+setSyllableTemplates(...profiles.map(lang => lang.syllable));
+const bigrams = profiles.map(buildTransitionMatrix);
+const anchors = profiles.map((lang, i) => (lang.words?.length ? trainNgram(lang.words, { order: 3, base: bigrams[i] }) : bigrams[i]));
+
+profiles.forEach((lang, i) => {
+  test(`${lang.name}: trigram anchor`, { skip: anchors[i] === bigrams[i] && 'no word list' }, () => {
+    const weights = anchors.map((_, k) => Number(k === i));
+    setAnchors(...anchors);
+    const ngram = generateSequenceTrace(weights, WORDS, SEED);
+    setAnchors(...bigrams);
+    const plain = generateSequenceTrace(weights, WORDS, SEED);
+
+    const differ = ngram.filter((w, k) => w.letters.join('') !== plain[k].letters.join('')).length;
+    assert.ok(differ > 0, 'trigram anchors generate the same words as the bigram matrices');
+    const steps = ngram.flatMap(w => w.edges);
+    assert.ok(steps.some(e => e.order >= 3), 'no step drew on a trigram context');
+    assert.ok(plain.flatMap(w => w.edges).every(e => e.order <= 2), 'bigram anchors reported a higher order');
+  });
+});